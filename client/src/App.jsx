@@ -1,8 +1,144 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
+import LoginScreen from './LoginScreen.jsx';
+import DocumentTranslator from './DocumentTranslator.jsx';
+import { AUTH_STORAGE_KEY, SIGNED_OUT_EVENT, loadStoredAuth, apiFetch, readEventStream } from './api.js';
+
+// Wrap approved glossary terms found in the translation in <mark> tags
+const highlightGlossaryTerms = (text, glossaryReport) => {
+  const terms = (glossaryReport?.matches || [])
+    .map(match => match.target)
+    .filter(term => term && text.toLowerCase().includes(term.toLowerCase()))
+    .sort((a, b) => b.length - a.length);
+
+  if (terms.length === 0) return text;
+
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const parts = text.split(new RegExp(`(${escaped.join('|')})`, 'gi'));
+
+  return parts.map((part, index) =>
+    terms.some(term => term.toLowerCase() === part.toLowerCase()) ? (
+      <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5" title="Approved glossary term">
+        {part}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{part}</React.Fragment>
+    )
+  );
+};
+
+// Prior turns sent with each translation request as context
+const CONTEXT_TURNS = 6;
+
+// Conditions and medications are typed comma-separated; the server splits them
+const EMPTY_PATIENT_CONTEXT = { age: '', gender: '', conditions: '', medications: '', visitReason: '' };
+
+// Character sets a Chinese translation can be shown in
+const SCRIPT_LABELS = {
+  simplified: '简体',
+  'traditional-hk': '繁體 (香港)',
+  'traditional-tw': '繁體 (台灣)'
+};
+
+// How much jargon is explained to the patient
+const READING_LEVELS = {
+  basic: 'Basic',
+  standard: 'Standard',
+  clinical: 'Clinical'
+};
+
+// The open session id survives reloads so the conversation can be resumed
+const SESSION_STORAGE_KEY = 'mediTranslator.sessionId';
+
+// A message's audio clips in playback order. Clips may arrive out of order
+// while the server is still generating; clipAt() waits for the one asked for
+// and resolves null once it is certain never to come.
+const createPlaylist = () => {
+  const clips = [];
+  let finished = false;
+  let listeners = [];
+  const notify = () => {
+    listeners.forEach(resolve => resolve());
+    listeners = [];
+  };
+
+  return {
+    add(clip) {
+      clips[clip.index] = clip;
+      notify();
+    },
+    finish() {
+      finished = true;
+      notify();
+    },
+    get expired() {
+      return clips.some(clip => clip && new Date(clip.expiresAt) <= new Date());
+    },
+    async clipAt(index) {
+      while (!clips[index] && !finished) {
+        await new Promise(resolve => listeners.push(resolve));
+      }
+      return clips[index] || null;
+    }
+  };
+};
+
+// Session persistence is best-effort: a failed save must never block interpreting
+const sessionRequest = async (url, method = 'GET', body) => {
+  try {
+    const response = await apiFetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+    if (!response.ok) {
+      throw new Error(`Session server error: ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Session sync error:', error);
+    return null;
+  }
+};
+
+// Server session -> chat messages, for resuming after a reload. Resumed turns
+// keep their play button; their audio is requested again on first play
+// (stored clips are reused, not synthesized twice).
+const messagesFromSession = (session) => [
+  {
+    id: `${session.id}-start`,
+    type: 'system',
+    message: 'Medical interpretation session resumed',
+    timestamp: new Date(session.createdAt),
+    language: session.targetLanguage
+  },
+  ...session.turns.map(turn => ({
+    ...turn,
+    type: 'conversation',
+    timestamp: new Date(turn.timestamp),
+    hasAudio: true,
+    audioGenerated: true,
+    resumed: true
+  }))
+];
+
+const patientContextFromSession = (profile) => profile ? {
+  age: profile.age ?? '',
+  gender: profile.gender || '',
+  conditions: (profile.conditions || []).join(', '),
+  medications: (profile.medications || []).join(', '),
+  visitReason: profile.visitReason || ''
+} : EMPTY_PATIENT_CONTEXT;
 
 function App() {
+  const [auth, setAuth] = useState(loadStoredAuth);
   const [inputText, setInputText] = useState('');
   const [selectedLanguage, setSelectedLanguage] = useState('mandarin');
+  // Characters the patient reads; null means the language's own script
+  const [scriptPreference, setScriptPreference] = useState(null);
+  // Patient languages from the server's language registry
+  const [languages, setLanguages] = useState([]);
   const [isTranslating, setIsTranslating] = useState(false);
   const [isGeneratingAudio, setIsGeneratingAudio] = useState(false);
   const [error, setError] = useState('');
@@ -11,19 +147,43 @@ function App() {
   const [conversationHistory, setConversationHistory] = useState([]);
   const [currentSpeaker, setCurrentSpeaker] = useState('doctor'); // 'doctor' or 'patient'
   const [sessionStarted, setSessionStarted] = useState(false);
+  const [sessionId, setSessionId] = useState(null);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+
+  // 'chat' for live interpretation, 'document' for translating handouts
+  const [view, setView] = useState('chat');
   
   // Speech Recognition States
   const [isListening, setIsListening] = useState(false);
   const [speechSupported, setSpeechSupported] = useState(false);
   const [speechRecognition, setSpeechRecognition] = useState(null);
   
-  // Audio management
-  const [audioCache, setAudioCache] = useState({}); // Cache audio for each message
+  // Audio management - clips live on the server, messages keep their URL
   const [playingMessageId, setPlayingMessageId] = useState(null);
+
+  // Patient profile for this session - shapes pronouns, politeness and drug names
+  const [patientContext, setPatientContext] = useState(EMPTY_PATIENT_CONTEXT);
+  const [showContextPanel, setShowContextPanel] = useState(false);
+
+  // Back-translation verification
+  const [verifyTranslations, setVerifyTranslations] = useState(false);
+  // Pinyin / Jyutping under Chinese translations
+  const [showRomanization, setShowRomanization] = useState(true);
+  const [readingLevel, setReadingLevel] = useState('standard');
+  const [shownBackTranslations, setShownBackTranslations] = useState({});
   
   const audioRef = useRef(null);
+  const playbackRef = useRef(null);
+  const audioPlaylistsRef = useRef({});
   const messagesEndRef = useRef(null);
 
+  const languageFor = (id) => languages.find(language => language.id === id);
+  const currentLanguage = languageFor(selectedLanguage);
+  // Doctors speak English; patients the selected language
+  const recognitionLocale = () => currentSpeaker === 'patient'
+    ? currentLanguage?.asrLocale || 'zh-CN'
+    : 'en-US';
+
   // Initialize Speech Recognition
   useEffect(() => {
     if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
@@ -35,17 +195,7 @@ function App() {
       recognition.maxAlternatives = 3;
       
       // Set language based on current speaker and selected language
-      // Using more specific language codes for better accuracy
-      if (currentSpeaker === 'patient') {
-        // For Chinese patients - use more specific language variants
-        if (selectedLanguage === 'mandarin') {
-          recognition.lang = 'zh-CN'; // Simplified Chinese (Mandarin)
-        } else {
-          recognition.lang = 'zh-HK'; // Traditional Chinese (Cantonese, Hong Kong)
-        }
-      } else {
-        recognition.lang = 'en-US'; // English for doctors
-      }
+      recognition.lang = recognitionLocale();
       
       console.log(`Setting speech recognition language to: ${recognition.lang} for ${currentSpeaker} (${selectedLanguage})`);
       
@@ -119,23 +269,75 @@ function App() {
     } else {
       setSpeechSupported(false);
     }
-  }, [currentSpeaker, selectedLanguage]);
+  }, [currentSpeaker, selectedLanguage, languages]);
 
   // Update speech recognition language when speaker or language changes
   useEffect(() => {
     if (speechRecognition) {
-      let newLang;
-      if (currentSpeaker === 'patient') {
-        // For Chinese patients - use more specific language variants
-        newLang = selectedLanguage === 'mandarin' ? 'zh-CN' : 'zh-HK';
-      } else {
-        newLang = 'en-US'; // English for doctors
-      }
-      
+      const newLang = recognitionLocale();
       speechRecognition.lang = newLang;
       console.log(`Updated speech recognition language to: ${newLang} for ${currentSpeaker} (${selectedLanguage})`);
     }
-  }, [currentSpeaker, selectedLanguage, speechRecognition]);
+  }, [currentSpeaker, selectedLanguage, languages, speechRecognition]);
+
+  // Patient languages offered by the server
+  useEffect(() => {
+    if (!auth) return;
+
+    (async () => {
+      try {
+        const response = await apiFetch('/api/languages');
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        setLanguages((await response.json()).languages);
+      } catch (error) {
+        console.error('Language list error:', error);
+      }
+    })();
+  }, [auth?.user.id]);
+
+  // Any request rejected with 401 (expired token, disabled account) signs out.
+  // The open session stays stored so it resumes after signing back in.
+  useEffect(() => {
+    const handleSignedOut = () => signOut();
+    window.addEventListener(SIGNED_OUT_EVENT, handleSignedOut);
+    return () => window.removeEventListener(SIGNED_OUT_EVENT, handleSignedOut);
+  }, []);
+
+  // Resume an open session after a reload or sign-in
+  useEffect(() => {
+    const savedSessionId = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!auth || !savedSessionId) return;
+
+    (async () => {
+      const session = await sessionRequest(`/api/sessions/${savedSessionId}`);
+      if (!session || session.status !== 'open' || session.createdBy !== auth.user.username) {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+        return;
+      }
+
+      console.log(`Resuming session ${session.id} (${session.turns.length} turns)`);
+      setSessionId(session.id);
+      setSessionStarted(true);
+      setSelectedLanguage(session.targetLanguage);
+      setScriptPreference(session.script || null);
+      setPatientContext(patientContextFromSession(session.patientContext));
+      setConversationHistory(messagesFromSession(session));
+    })();
+  }, [auth?.user.id]);
+
+  // Keep the stored session in step with the language, script and patient profile
+  useEffect(() => {
+    if (!sessionId) return;
+
+    const timer = setTimeout(() => {
+      sessionRequest(`/api/sessions/${sessionId}`, 'PATCH', {
+        targetLanguage: selectedLanguage,
+        script: scriptPreference,
+        patientContext
+      });
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [sessionId, selectedLanguage, scriptPreference, patientContext]);
 
   // Auto-scroll to latest message
   useEffect(() => {
@@ -191,7 +393,7 @@ function App() {
   };
 
   // Start a new medical interpretation session
-  const startSession = () => {
+  const startSession = async () => {
     setSessionStarted(true);
     setConversationHistory([{
       id: Date.now(),
@@ -200,10 +402,22 @@ function App() {
       timestamp: new Date(),
       language: selectedLanguage
     }]);
+
+    // Persist on the server so a reload can resume the session
+    const session = await sessionRequest('/api/sessions', 'POST', {
+      targetLanguage: selectedLanguage,
+      script: scriptPreference,
+      patientContext
+    });
+    if (!session) return null;
+
+    setSessionId(session.id);
+    localStorage.setItem(SESSION_STORAGE_KEY, session.id);
+    return session.id;
   };
 
   // Add message to conversation history
-  const addToConversation = (originalText, translatedText, speaker, hasAudio = false) => {
+  const addToConversation = (originalText, translatedText, speaker, hasAudio = false, details = {}) => {
     const messageId = Date.now();
     const newMessage = {
       id: messageId,
@@ -215,7 +429,8 @@ function App() {
       translatedLanguage: speaker === 'doctor' ? selectedLanguage : 'English',
       timestamp: new Date(),
       hasAudio: hasAudio,
-      audioGenerated: false
+      audioGenerated: false,
+      ...details
     };
     
     setConversationHistory(prev => [...prev, newMessage]);
@@ -229,8 +444,9 @@ function App() {
       return;
     }
 
+    let activeSessionId = sessionId;
     if (!sessionStarted) {
-      startSession();
+      activeSessionId = await startSession();
     }
 
     setIsTranslating(true);
@@ -241,13 +457,26 @@ function App() {
       const translationRequest = {
         text: inputText.trim(),
         currentSpeaker: currentSpeaker,  // Add speaker info
-        targetLanguage: selectedLanguage  // Keep for language selection
+        targetLanguage: selectedLanguage,  // Keep for language selection
+        verify: verifyTranslations,
+        romanize: showRomanization,
+        script: scriptPreference,
+        readingLevel,
+        sessionId: activeSessionId,
+        patientContext,
+        // Recent turns let the server resolve short replies like "two days"
+        conversationHistory: conversationHistory
+          .filter(msg => msg.type === 'conversation')
+          .slice(-CONTEXT_TURNS)
+          .map(({ speaker, originalText, translatedText }) => ({ speaker, originalText, translatedText }))
       };
 
-      const response = await fetch('/api/translate', {
+      // Streamed, so the bubble fills in while the model is still writing
+      const response = await apiFetch('/api/translate', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
         },
         body: JSON.stringify(translationRequest),
       });
@@ -256,28 +485,79 @@ function App() {
         if (response.status === 0 || response.status >= 500) {
           throw new Error('Server is not running. Please start the backend server first.');
         }
+        if (response.status === 429) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.details || 'Too many requests. Please try again later.');
+        }
         throw new Error(`Server error: ${response.status}`);
       }
 
       let data;
+      let messageId = null;
+      const updateMessage = (changes) => setConversationHistory(prev =>
+        prev.map(msg => msg.id === messageId ? { ...msg, ...changes } : msg)
+      );
+
       try {
-        data = await response.json();
-      } catch (jsonError) {
-        console.error('Failed to parse JSON response:', jsonError);
-        throw new Error('Server returned invalid response. Please check if the backend server is running properly.');
+        if (response.headers.get('Content-Type')?.includes('text/event-stream')) {
+          // The bubble shows the draft; the result event replaces it with the
+          // final (possibly glossary-repaired) translation
+          messageId = addToConversation(inputText.trim(), '', currentSpeaker, true, { streaming: true });
+          let draft = '';
+          await readEventStream(response, (event, payload) => {
+            if (event === 'delta') {
+              draft += payload.text;
+              updateMessage({ translatedText: draft });
+            } else if (event === 'reset') {
+              draft = '';
+              updateMessage({ translatedText: '' });
+            } else if (event === 'result' || event === 'error') {
+              data = payload;
+            }
+          });
+        } else {
+          data = await response.json();
+        }
+      } catch (parseError) {
+        console.error('Failed to read translation response:', parseError);
+        data = null;
       }
 
-      if (data.error) {
+      if (!data || data.error) {
+        if (messageId) {
+          setConversationHistory(prev => prev.filter(msg => msg.id !== messageId));
+        }
+        if (!data) {
+          throw new Error('Server returned invalid response. Please check if the backend server is running properly.');
+        }
         throw new Error(data.details || data.error || 'Translation failed');
       }
 
       // Add message to conversation history
-      const messageId = addToConversation(
-        inputText.trim(), 
-        data.translation, 
-        currentSpeaker,
-        true
-      );
+      const details = { glossary: data.glossary, verification: data.verification, deidentification: data.deidentification, cached: data.cached, sig: data.sig, warnings: data.warnings, romanization: data.romanization, readability: data.readability };
+      if (messageId) {
+        updateMessage({ translatedText: data.translation, streaming: false, ...details });
+      } else {
+        messageId = addToConversation(inputText.trim(), data.translation, currentSpeaker, true, details);
+      }
+
+      if (activeSessionId) {
+        sessionRequest(`/api/sessions/${activeSessionId}/turns`, 'POST', {
+          speaker: currentSpeaker,
+          originalText: inputText.trim(),
+          translatedText: data.translation,
+          originalLanguage: currentSpeaker === 'doctor' ? 'English' : selectedLanguage,
+          translatedLanguage: currentSpeaker === 'doctor' ? selectedLanguage : 'English',
+          provider: data.provider,
+          model: data.model,
+          glossary: data.glossary,
+          verification: data.verification,
+          warnings: data.warnings,
+          sig: data.sig,
+          readability: data.readability,
+          romanization: data.romanization
+        });
+      }
 
       // Auto-generate audio for the translation
       setTimeout(() => {
@@ -293,23 +573,37 @@ function App() {
     } finally {
       setIsTranslating(false);
     }
-  }, [inputText, selectedLanguage, currentSpeaker, sessionStarted]);
+  }, [inputText, selectedLanguage, currentSpeaker, sessionStarted, sessionId, verifyTranslations, showRomanization, scriptPreference, readingLevel, conversationHistory, patientContext]);
 
-  // Generate audio for a specific message
+  // Generate audio for a specific message; resolves to its playlist, 'demo'
+  // when the browser should speak it instead, or null on failure. Clips
+  // stream in as the server finishes them, so the play button appears as
+  // soon as the first sentence is ready.
   const generateAudioForMessage = useCallback(async (messageId, text) => {
-    if (!text || audioCache[messageId]) return;
+    if (!text) return null;
 
     setIsGeneratingAudio(true);
+    const playlist = createPlaylist();
+    audioPlaylistsRef.current[messageId] = playlist;
+    const markAudioReady = (changes = {}) => setConversationHistory(prev => 
+      prev.map(msg => 
+        msg.id === messageId 
+          ? { ...msg, audioGenerated: true, ...changes }
+          : msg
+      )
+    );
 
     try {
-      const response = await fetch('/api/audio', {
+      const response = await apiFetch('/api/audio', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
         },
         body: JSON.stringify({ 
           text: text,
-          targetLanguage: selectedLanguage 
+          targetLanguage: selectedLanguage,
+          sessionId
         }),
       });
 
@@ -320,6 +614,22 @@ function App() {
         throw new Error(`Audio server error: ${response.status}`);
       }
 
+      if (response.headers.get('Content-Type')?.includes('text/event-stream')) {
+        let failure = null;
+        await readEventStream(response, (event, payload) => {
+          if (event === 'clip') {
+            playlist.add(payload);
+            if (payload.index === 0) markAudioReady();
+          } else if (event === 'error') {
+            failure = payload;
+          }
+        });
+        if (failure) {
+          throw new Error(failure.details || failure.error || 'Audio generation failed');
+        }
+        return playlist;
+      }
+
       let data;
       try {
         data = await response.json();
@@ -333,43 +643,35 @@ function App() {
       }
 
       // Handle demo mode - use browser TTS if no audio data
-      if (data.demoMode && !data.audio) {
+      if (data.demoMode && !data.playlist?.length) {
         console.log('Demo mode: Using browser text-to-speech for:', text);
         
         // Mark audio as "generated" for demo purposes
-        setConversationHistory(prev => 
-          prev.map(msg => 
-            msg.id === messageId 
-              ? { ...msg, audioGenerated: true, demoAudio: true }
-              : msg
-          )
-        );
-        return; // Exit early for demo mode
+        delete audioPlaylistsRef.current[messageId];
+        markAudioReady({ demoAudio: true });
+        return 'demo'; // Exit early for demo mode
       }
 
-      // Cache the audio only if we have actual audio data
-      if (data.audio) {
-        setAudioCache(prev => ({
-          ...prev,
-          [messageId]: data.audio
-        }));
-
-        // Update message to show audio is ready
-        setConversationHistory(prev => 
-          prev.map(msg => 
-            msg.id === messageId 
-              ? { ...msg, audioGenerated: true }
-              : msg
-          )
-        );
-      }
+      (data.playlist || []).forEach(clip => playlist.add(clip));
+      if (data.playlist?.length) markAudioReady();
+      return playlist;
 
     } catch (error) {
       console.error('Audio generation error:', error);
+      return null;
     } finally {
+      playlist.finish();
       setIsGeneratingAudio(false);
     }
-  }, [selectedLanguage]);
+  }, [selectedLanguage, sessionId]);
+
+  const stopAudio = () => {
+    playbackRef.current = null;
+    if (audioRef.current) {
+      audioRef.current.pause();
+      audioRef.current = null;
+    }
+  };
 
   // Play audio for a specific message
   const playMessageAudio = useCallback(async (messageId) => {
@@ -377,18 +679,8 @@ function App() {
     const message = conversationHistory.find(msg => msg.id === messageId);
     if (!message) return;
 
-    const audioData = audioCache[messageId];
-    
     // Stop any currently playing audio
-    if (audioRef.current) {
-      audioRef.current.pause();
-      audioRef.current = null;
-    }
-    
-    // Stop any speech synthesis that might be playing
-    if ('speechSynthesis' in window && speechSynthesis.speaking) {
-      speechSynthesis.cancel();
-    }
+    stopAudio();
     
     // Stop any speech synthesis that might be playing
     if ('speechSynthesis' in window && speechSynthesis.speaking) {
@@ -398,38 +690,54 @@ function App() {
     setPlayingMessageId(messageId);
 
     try {
-      // If we have cached audio data, play it
-      if (audioData) {
-        const audio = new Audio(`data:audio/mp3;base64,${audioData}`);
-        audioRef.current = audio;
-        
-        audio.onended = () => {
-          setPlayingMessageId(null);
+      // Stored audio streams from the server; expired links, and resumed
+      // turns that have no playlist in this tab yet, are requested first
+      // (the clips themselves are not synthesized again)
+      let playlist = audioPlaylistsRef.current[messageId];
+      let { demoAudio } = message;
+      if (playlist?.expired || (!playlist && message.resumed && !demoAudio)) {
+        playlist = await generateAudioForMessage(messageId, message.translatedText);
+        if (playlist === 'demo') {
+          playlist = null;
+          demoAudio = true;
+        }
+      }
+
+      if (playlist) {
+        // Clips play back to back, each waiting for its turn if it is still
+        // being generated. Starting other audio ends this chain.
+        const playback = {};
+        playbackRef.current = playback;
+        const finish = (playbackError) => {
+          if (playbackRef.current !== playback) return;
+          playbackRef.current = null;
           audioRef.current = null;
+          setPlayingMessageId(null);
+          if (playbackError) setError(playbackError);
         };
 
-        audio.onerror = () => {
-          setPlayingMessageId(null);
-          audioRef.current = null;
-          setError('Audio playback failed.');
+        const playClip = async (index) => {
+          const clip = await playlist.clipAt(index);
+          if (playbackRef.current !== playback) return;
+          if (!clip) return finish(index === 0 ? 'No audio available for this message.' : null);
+
+          const audio = new Audio(clip.audioUrl);
+          audioRef.current = audio;
+          audio.onended = () => playClip(index + 1).catch(() => finish('Audio playback failed.'));
+          audio.onerror = () => finish('Audio playback failed.');
+          await audio.play();
         };
 
-        await audio.play();
+        await playClip(0);
       }
       // Demo mode: Use browser Text-to-Speech
-      else if (message.demoAudio && 'speechSynthesis' in window) {
+      else if (demoAudio && 'speechSynthesis' in window) {
         console.log('Playing demo audio using browser TTS for:', message.translatedText);
         
         const utterance = new SpeechSynthesisUtterance(message.translatedText);
         
         // Set language based on the translation language
-        if (message.translatedLanguage === 'mandarin') {
-          utterance.lang = 'zh-CN';
-        } else if (message.translatedLanguage === 'cantonese') {
-          utterance.lang = 'zh-HK';
-        } else {
-          utterance.lang = 'en-US';
-        }
+        utterance.lang = languageFor(message.translatedLanguage)?.locale || 'en-US';
         
         utterance.rate = 0.8; // Slightly slower for clarity
         utterance.pitch = 1.0;
@@ -454,25 +762,94 @@ function App() {
       }
     } catch (error) {
       console.error('Audio playbook error:', error);
+      stopAudio();
       setPlayingMessageId(null);
       setError('Audio playback failed. Please check your browser settings.');
     }
-  }, [audioCache, conversationHistory]);
+  }, [conversationHistory, generateAudioForMessage]);
 
   // Clear conversation and start fresh
   const clearSession = () => {
+    if (sessionId) {
+      sessionRequest(`/api/sessions/${sessionId}/close`, 'POST');
+    }
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    resetConversation();
+  };
+
+  // Forget the conversation in this tab; the server copy is left as it is
+  const resetConversation = () => {
+    setSessionId(null);
     setConversationHistory([]);
     setSessionStarted(false);
     setInputText('');
     setError('');
-    setAudioCache({});
+    setShownBackTranslations({});
+    setPatientContext(EMPTY_PATIENT_CONTEXT);
     setPlayingMessageId(null);
-    if (audioRef.current) {
-      audioRef.current.pause();
-      audioRef.current = null;
+    stopAudio();
+    audioPlaylistsRef.current = {};
+  };
+
+  // Transcripts are rendered by the server and fetched with the token, since
+  // a new tab can't send it. HTML opens in a tab ready to print; that tab is
+  // opened before the fetch, as popups opened after an await get blocked.
+  // PDF, text and FHIR are saved through a download link instead.
+  const exportTranscript = async (format) => {
+    setShowExportMenu(false);
+    if (!sessionId) return;
+    const url = format === 'fhir'
+      ? `/api/sessions/${sessionId}/fhir`
+      : `/api/sessions/${sessionId}/transcript?format=${format}`;
+    const tab = format === 'html' ? window.open('', '_blank') : null;
+
+    try {
+      const response = await apiFetch(url);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || data.error || 'Export failed');
+      }
+      const blobUrl = URL.createObjectURL(await response.blob());
+      if (tab) {
+        tab.location.href = blobUrl;
+      } else {
+        const link = document.createElement('a');
+        link.href = blobUrl;
+        link.download = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1]
+          || `transcript.${format === 'fhir' ? 'json' : format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+      }
+      setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+    } catch (error) {
+      tab?.close();
+      console.error('Export error:', error);
+      setError(error.message);
     }
   };
 
+  const handleSignedIn = (data) => {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(data));
+    setAuth(data);
+  };
+
+  const signOut = () => {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+    setAuth(null);
+    resetConversation();
+  };
+
+  const updatePatientContext = (field, value) => {
+    setPatientContext(prev => ({ ...prev, [field]: value }));
+  };
+
+  const hasPatientContext = Object.values(patientContext).some(value => String(value).trim() !== '');
+
+  const toggleBackTranslation = (messageId) => {
+    setShownBackTranslations(prev => ({ ...prev, [messageId]: !prev[messageId] }));
+  };
+
   const handleInputChange = (e) => {
     setInputText(e.target.value);
     if (error) setError('');
@@ -518,13 +895,10 @@ function App() {
   const [selectedCategory, setSelectedCategory] = useState('symptoms');
 
   // Language options
-  const languageOptions = [
-    { value: 'mandarin', label: '普通话 (Mandarin)', flag: '🇨🇳' },
-    { value: 'cantonese', label: '廣東話 (Cantonese)', flag: '🇭🇰' }
-  ];
 
   const handleLanguageChange = (language) => {
     setSelectedLanguage(language);
+    setScriptPreference(null);
     setError('');
   };
 
@@ -533,6 +907,10 @@ function App() {
     setError('');
   };
 
+  if (!auth) {
+    return <LoginScreen onSignedIn={handleSignedIn} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Medical Interpreter Header */}
@@ -561,7 +939,28 @@ function App() {
             </div>
             
             <div className="flex items-center space-x-4">
+              {/* View Toggle */}
+              <div className="flex items-center space-x-2 bg-gray-100 rounded-lg p-1">
+                {[
+                  { value: 'chat', label: '💬 Chat' },
+                  { value: 'document', label: '📄 Document' }
+                ].map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => setView(option.value)}
+                    className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                      view === option.value
+                        ? 'bg-gray-800 text-white'
+                        : 'text-gray-600 hover:bg-gray-200'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+
               {/* Speaker Toggle */}
+              {view === 'chat' && (
               <div className="flex items-center space-x-2 bg-gray-100 rounded-lg p-1">
                 <button
                   onClick={() => setCurrentSpeaker('doctor')}
@@ -584,27 +983,74 @@ function App() {
                   🏥 Patient
                 </button>
               </div>
+              )}
 
               {/* Language Selection */}
               <div className="flex rounded-md shadow-sm">
-                {languageOptions.map((option) => (
+                {languages.map((language, index) => (
                   <button
-                    key={option.value}
-                    onClick={() => handleLanguageChange(option.value)}
+                    key={language.id}
+                    onClick={() => handleLanguageChange(language.id)}
+                    title={`${language.nativeLabel} (${language.label})`}
                     className={`px-3 py-2 text-sm font-medium border transition-colors ${
-                      selectedLanguage === option.value
+                      selectedLanguage === language.id
                         ? 'bg-blue-600 text-white border-blue-600 z-10'
                         : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
-                    } ${
-                      option.value === 'mandarin' ? 'rounded-l-md' : 'rounded-r-md -ml-px'
+                    } ${index === 0 ? 'rounded-l-md' : '-ml-px'} ${
+                      index === languages.length - 1 ? 'rounded-r-md' : ''
                     }`}
                     disabled={isTranslating || isGeneratingAudio}
                   >
-                    {option.flag}
+                    {language.flag}
                   </button>
                 ))}
               </div>
 
+              {/* Characters for Chinese translations, e.g. Simplified for a Cantonese speaker */}
+              {currentLanguage?.defaultScript && (
+                <select
+                  value={scriptPreference || currentLanguage.defaultScript}
+                  onChange={(e) => setScriptPreference(e.target.value === currentLanguage.defaultScript ? null : e.target.value)}
+                  className="px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-700"
+                  title="Characters the patient reads"
+                  disabled={isTranslating || isGeneratingAudio}
+                >
+                  {Object.entries(SCRIPT_LABELS).map(([script, label]) => (
+                    <option key={script} value={script}>{label}</option>
+                  ))}
+                </select>
+              )}
+
+              {/* Transcript Export */}
+              {sessionId && (
+                <div className="relative">
+                  <button
+                    onClick={() => setShowExportMenu(!showExportMenu)}
+                    className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                  >
+                    📄 Export
+                  </button>
+                  {showExportMenu && (
+                    <div className="absolute right-0 mt-1 w-44 bg-white border border-gray-200 rounded-md shadow-lg z-20">
+                      {[
+                        { format: 'html', label: '🖨️ Printable (HTML)' },
+                        { format: 'pdf', label: '📕 PDF' },
+                        { format: 'txt', label: '📝 Plain text' },
+                        { format: 'fhir', label: '🏥 FHIR bundle' }
+                      ].map(option => (
+                        <button
+                          key={option.format}
+                          onClick={() => exportTranscript(option.format)}
+                          className="block w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Session Controls */}
               {sessionStarted && (
                 <button
@@ -614,17 +1060,106 @@ function App() {
                   End Session
                 </button>
               )}
+
+              {/* Signed-in User */}
+              <div className="flex items-center space-x-2 text-sm text-gray-600">
+                <span title={auth.user.role}>👤 {auth.user.displayName}</span>
+                <button
+                  onClick={signOut}
+                  className="text-gray-500 hover:text-gray-800 underline"
+                >
+                  Sign out
+                </button>
+              </div>
             </div>
           </div>
         </div>
       </div>
 
       <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {view === 'document' ? (
+          <DocumentTranslator
+            targetLanguage={selectedLanguage}
+            script={scriptPreference}
+            readingLevel={readingLevel}
+            patientContext={patientContext}
+          />
+        ) : (
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-6 h-screen">
           
           {/* Left Sidebar - Quick Actions */}
           <div className="lg:col-span-1">
             <div className="bg-white rounded-lg shadow border border-gray-200 h-full">
+              {/* Patient Context Panel */}
+              <div className="border-b border-gray-200">
+                <button
+                  onClick={() => setShowContextPanel(!showContextPanel)}
+                  className="w-full px-4 py-3 text-left flex items-center justify-between hover:bg-gray-50 rounded-t-lg"
+                >
+                  <span className="text-lg font-medium text-gray-900">📋 Patient Context</span>
+                  <span className="text-xs text-gray-500">
+                    {hasPatientContext && <span className="text-green-600 mr-2">● in use</span>}
+                    {showContextPanel ? '▼' : '▶'}
+                  </span>
+                </button>
+
+                {showContextPanel && (
+                  <div className="px-4 pb-4 space-y-2">
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max="130"
+                        placeholder="Age"
+                        value={patientContext.age}
+                        onChange={(e) => updatePatientContext('age', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded text-sm"
+                      />
+                      <select
+                        value={patientContext.gender}
+                        onChange={(e) => updatePatientContext('gender', e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded text-sm"
+                      >
+                        <option value="">Gender</option>
+                        <option value="male">Male</option>
+                        <option value="female">Female</option>
+                        <option value="other">Other</option>
+                      </select>
+                    </div>
+                    <input
+                      type="text"
+                      placeholder="Visit reason"
+                      value={patientContext.visitReason}
+                      onChange={(e) => updatePatientContext('visitReason', e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                    <input
+                      type="text"
+                      placeholder="Conditions (comma-separated)"
+                      value={patientContext.conditions}
+                      onChange={(e) => updatePatientContext('conditions', e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                    <input
+                      type="text"
+                      placeholder="Medications (comma-separated)"
+                      value={patientContext.medications}
+                      onChange={(e) => updatePatientContext('medications', e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                    <div className="flex items-center justify-between">
+                      <p className="text-xs text-gray-500">💡 Used to personalize translations</p>
+                      <button
+                        onClick={() => setPatientContext(EMPTY_PATIENT_CONTEXT)}
+                        className="text-xs text-gray-500 hover:text-red-600"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+
               <div className="px-4 py-3 border-b border-gray-200">
                 <h2 className="text-lg font-medium text-gray-900">Quick Phrases</h2>
                 <p className="text-sm text-gray-500">Common medical expressions</p>
@@ -683,7 +1218,7 @@ function App() {
                           <div className="text-center">
                             <div className="bg-gray-100 rounded-lg px-4 py-2 inline-block">
                               <p className="text-sm text-gray-600">
-                                🏥 {message.message} • Target: {selectedLanguage === 'mandarin' ? '普通话' : '廣東話'}
+                                🏥 {message.message} • Target: {currentLanguage?.nativeLabel || selectedLanguage}
                               </p>
                               <p className="text-xs text-gray-500 mt-1">
                                 {message.timestamp.toLocaleTimeString()}
@@ -719,7 +1254,29 @@ function App() {
                               }`}>
                                 <div className="flex items-center justify-between mb-2">
                                   <span className="text-xs font-medium opacity-75">
-                                    🔄 Translation ({message.translatedLanguage})
+                                    🔄 Translation ({languageFor(message.translatedLanguage)?.label || message.translatedLanguage})
+                                    {message.cached && (
+                                      <span className="ml-2" title="Served from the translation cache">⚡ Cached</span>
+                                    )}
+                                    {message.sig && (
+                                      <span className="ml-2" title="Rendered from reviewed dosing templates, not by the model">💊 Standard wording</span>
+                                    )}
+                                    {message.warnings?.length > 0 && (
+                                      <span
+                                        className="ml-2 bg-red-600 text-white rounded px-1.5 py-0.5 font-semibold opacity-100"
+                                        title="Numbers, units or drug names that differ between the original and the translation"
+                                      >
+                                        ⚠️ {message.warnings.length} to check
+                                      </span>
+                                    )}
+                                    {message.verification?.lowConfidence && (
+                                      <span
+                                        className="ml-2 bg-yellow-300 text-yellow-900 rounded px-1.5 py-0.5 font-semibold opacity-100"
+                                        title={`Back-translation similarity ${Math.round(message.verification.similarity * 100)}%`}
+                                      >
+                                        ⚠️ Low confidence
+                                      </span>
+                                    )}
                                   </span>
                                   {message.audioGenerated && (
                                     <button
@@ -744,8 +1301,87 @@ function App() {
                                   )}
                                 </div>
                                 <p className="text-lg font-medium">
-                                  {message.translatedText}
+                                  {highlightGlossaryTerms(message.translatedText, message.glossary)}
+                                  {message.streaming && (
+                                    <span className="animate-pulse opacity-75">{message.translatedText ? ' ▍' : '…'}</span>
+                                  )}
                                 </p>
+                                {message.romanization && (
+                                  <p className="mt-1 text-sm opacity-90 italic">🔤 {message.romanization}</p>
+                                )}
+                                {message.readability?.translation && (
+                                  <p className="mt-1 text-xs opacity-75" title="0-100, higher is easier to read">
+                                    📖 Readability {message.readability.translation.score} ({message.readability.translation.level})
+                                    {message.readability.source && ` • original ${message.readability.source.score} (${message.readability.source.level})`}
+                                  </p>
+                                )}
+
+                                {/* Numbers, units and drug names that didn't survive translation */}
+                                {message.warnings?.length > 0 && (
+                                  <div className="mt-2 bg-red-600 text-white rounded px-2 py-1.5 text-sm font-semibold">
+                                    ⚠️ Check before relying on this translation:
+                                    {message.warnings.map((warning, index) => (
+                                      <span key={index} className="block font-normal">{warning.message}</span>
+                                    ))}
+                                  </div>
+                                )}
+
+                                {/* Dosing instruction as the server understood it */}
+                                {message.sig && (
+                                  <p className="mt-2 text-xs opacity-90">
+                                    💊 Read as: {message.sig.english}
+                                  </p>
+                                )}
+
+                                {/* Glossary adherence */}
+                                {message.glossary?.violations?.length > 0 && (
+                                  <div className="mt-2 bg-red-50 border border-red-200 rounded px-2 py-1 text-xs text-red-700">
+                                    ⚠️ Glossary terms not used:
+                                    {message.glossary.violations.map(violation => (
+                                      <span key={violation.id} className="block">
+                                        "{violation.source}" should be "{violation.target}"
+                                      </span>
+                                    ))}
+                                  </div>
+                                )}
+                                {/* Back-translation, shown on demand */}
+                                {message.verification?.backTranslation && (
+                                  <div className="mt-2 text-xs">
+                                    <button
+                                      onClick={() => toggleBackTranslation(message.id)}
+                                      className="underline opacity-75 hover:opacity-100"
+                                    >
+                                      {shownBackTranslations[message.id] ? 'Hide' : 'Show'} back-translation
+                                      ({Math.round(message.verification.similarity * 100)}% match)
+                                    </button>
+                                    {shownBackTranslations[message.id] && (
+                                      <p className="mt-1 italic opacity-90">
+                                        ↩️ {message.verification.backTranslation}
+                                      </p>
+                                    )}
+                                  </div>
+                                )}
+                                {message.glossary?.matches?.length > 0 && message.glossary.violations?.length === 0 && (
+                                  <p className="mt-2 text-xs opacity-75">
+                                    📚 {message.glossary.matches.length} glossary term{message.glossary.matches.length > 1 ? 's' : ''} applied
+                                    {message.glossary.repaired && ' (corrected)'}
+                                  </p>
+                                )}
+
+                                {/* Identifiers masked before translation */}
+                                {message.deidentification?.masked?.length > 0 && (
+                                  <p
+                                    className="mt-2 text-xs opacity-75"
+                                    title={[...new Set(message.deidentification.masked.map(span => span.type))].join(', ')}
+                                  >
+                                    🔒 {message.deidentification.masked.length} identifier{message.deidentification.masked.length > 1 ? 's' : ''} masked before translation
+                                  </p>
+                                )}
+                                {message.deidentification?.unrestored?.length > 0 && (
+                                  <div className="mt-2 bg-yellow-50 border border-yellow-200 rounded px-2 py-1 text-xs text-yellow-800">
+                                    ⚠️ Some names or numbers were dropped from the translation. Check them with the patient.
+                                  </div>
+                                )}
                               </div>
                             </div>
                           </div>
@@ -779,7 +1415,7 @@ function App() {
                       </svg>
                       <div className="text-sm text-blue-700">
                         <p className="font-medium">Voice input available!</p>
-                        <p>Click the microphone button to speak in Chinese. If prompted, please allow microphone access for the best experience.</p>
+                        <p>Click the microphone button to speak in {currentLanguage?.label || "the patient's language"}. If prompted, please allow microphone access for the best experience.</p>
                       </div>
                     </div>
                   </div>
@@ -797,7 +1433,7 @@ function App() {
                           placeholder={
                             currentSpeaker === 'doctor' 
                               ? "Type doctor's message in English..." 
-                              : "Type patient's response in Chinese..."
+                              : `Type patient's response in ${currentLanguage?.label || 'their language'}...`
                           }
                           className="flex-1 px-3 py-2 border-0 rounded-lg focus:ring-0 focus:outline-none resize-none"
                           disabled={isTranslating || isListening}
@@ -853,6 +1489,38 @@ function App() {
                               🔴 Listening...
                             </span>
                           )}
+                          <label className="flex items-center text-xs text-gray-500 cursor-pointer" title="Translate each message back to check what was actually said">
+                            <input
+                              type="checkbox"
+                              checked={verifyTranslations}
+                              onChange={(e) => setVerifyTranslations(e.target.checked)}
+                              className="mr-1"
+                            />
+                            Back-check
+                          </label>
+                          <label className="flex items-center text-xs text-gray-500" title="How much medical jargon is explained to the patient">
+                            Reading level
+                            <select
+                              value={readingLevel}
+                              onChange={(e) => setReadingLevel(e.target.value)}
+                              className="ml-1 px-1 py-0.5 border border-gray-300 rounded text-xs"
+                            >
+                              {Object.entries(READING_LEVELS).map(([level, label]) => (
+                                <option key={level} value={level}>{label}</option>
+                              ))}
+                            </select>
+                          </label>
+                          {currentLanguage?.romanization && (
+                            <label className="flex items-center text-xs text-gray-500 cursor-pointer" title="Show how to read each translation aloud">
+                              <input
+                                type="checkbox"
+                                checked={showRomanization}
+                                onChange={(e) => setShowRomanization(e.target.checked)}
+                                className="mr-1"
+                              />
+                              {currentLanguage.romanization === 'jyutping' ? 'Jyutping' : 'Pinyin'}
+                            </label>
+                          )}
                         </div>
                         <span className="text-xs text-gray-400">{inputText.length}/2000</span>
                       </div>
@@ -890,6 +1558,7 @@ function App() {
             </div>
           </div>
         </div>
+        )}
       </div>
     </div>
   );
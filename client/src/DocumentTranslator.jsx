@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { apiFetch, readEventStream } from './api.js';
+
+// Same limit as the server (MAX_DOCUMENT_LENGTH in server/documents.js)
+const MAX_DOCUMENT_LENGTH = 50000;
+
+const downloadFile = (content, filename, type) => {
+  const blobUrl = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+};
+
+// Translates discharge instructions and other handouts (pasted or uploaded as
+// .txt / .md) into a bilingual document that keeps headings, numbered steps
+// and tables in place
+function DocumentTranslator({ targetLanguage, script, readingLevel, patientContext }) {
+  const [text, setText] = useState('');
+  const [isTranslating, setIsTranslating] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    setText(await file.text());
+    setResult(null);
+    setError('');
+  };
+
+  const translateDocument = async () => {
+    if (!text.trim()) return;
+    setIsTranslating(true);
+    setProgress(null);
+    setResult(null);
+    setError('');
+
+    try {
+      const response = await apiFetch('/api/documents/translate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+        },
+        body: JSON.stringify({ text, targetLanguage, script, readingLevel, patientContext }),
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.details || data.error || `Server error: ${response.status}`);
+      }
+
+      let data = null;
+      let streamError = null;
+      await readEventStream(response, (event, payload) => {
+        if (event === 'progress') setProgress(payload);
+        if (event === 'result') data = payload;
+        if (event === 'error') streamError = payload;
+      });
+      if (streamError || !data) {
+        throw new Error(streamError?.details || streamError?.error || 'Document translation failed');
+      }
+      setResult(data);
+    } catch (error) {
+      console.error('Document translation error:', error);
+      setError(error.message);
+    } finally {
+      setIsTranslating(false);
+    }
+  };
+
+  const openPrintable = () => {
+    const blobUrl = URL.createObjectURL(new Blob([result.html], { type: 'text/html' }));
+    window.open(blobUrl, '_blank');
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {/* Source Document */}
+      <div className="bg-white rounded-lg shadow border border-gray-200 p-4 flex flex-col">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-medium text-gray-900">📄 Patient Handout (English)</h2>
+          <label className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded-md text-sm font-medium cursor-pointer">
+            Upload .txt / .md
+            <input type="file" accept=".txt,.md,.markdown,text/plain,text/markdown" onChange={loadFile} className="hidden" />
+          </label>
+        </div>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={'# Discharge Instructions\n\n## Medications\n1. Take metformin 500 mg twice a day with meals.\n\nCall 911 if you have chest pain.'}
+          className="w-full h-96 p-3 border border-gray-300 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          disabled={isTranslating}
+        />
+        <div className="flex items-center justify-between mt-3">
+          <span className={`text-xs ${text.length > MAX_DOCUMENT_LENGTH ? 'text-red-600' : 'text-gray-500'}`}>
+            {text.length.toLocaleString()} / {MAX_DOCUMENT_LENGTH.toLocaleString()} characters · Headings, lists and tables are kept
+          </span>
+          <button
+            onClick={translateDocument}
+            disabled={isTranslating || !text.trim() || text.length > MAX_DOCUMENT_LENGTH}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+          >
+            {isTranslating ? 'Translating…' : 'Translate Document'}
+          </button>
+        </div>
+
+        {isTranslating && progress && (
+          <div className="mt-3">
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-blue-600 h-2 rounded-full transition-all"
+                style={{ width: `${Math.round((progress.done / progress.total) * 100)}%` }}
+              />
+            </div>
+            <p className="text-xs text-gray-500 mt-1">{progress.done} of {progress.total} parts translated</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="mt-3 bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700">{error}</div>
+        )}
+      </div>
+
+      {/* Bilingual Preview */}
+      <div className="bg-white rounded-lg shadow border border-gray-200 p-4 flex flex-col">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-medium text-gray-900">🌐 Bilingual Handout</h2>
+          {result && (
+            <div className="flex space-x-2">
+              <button
+                onClick={openPrintable}
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded-md text-sm font-medium"
+              >
+                🖨️ Print
+              </button>
+              <button
+                onClick={() => downloadFile(result.bilingualMarkdown, `handout-${targetLanguage}-bilingual.md`, 'text/markdown')}
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded-md text-sm font-medium"
+              >
+                ⬇️ Bilingual .md
+              </button>
+              <button
+                onClick={() => downloadFile(result.markdown, `handout-${targetLanguage}.md`, 'text/markdown')}
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded-md text-sm font-medium"
+              >
+                ⬇️ Translated .md
+              </button>
+            </div>
+          )}
+        </div>
+
+        {result ? (
+          <>
+            <p className="text-xs text-gray-500 mb-2">
+              {result.segments} part(s) translated
+              {result.cachedSegments > 0 && ` · ⚡ ${result.cachedSegments} from cache`}
+              {result.providers.length > 0 && ` · ${result.providers.join(', ')}`}
+              {result.demoMode && ' · demo dictionary'}
+            </p>
+            {result.issues.length > 0 && (
+              <div className="bg-amber-50 border border-amber-200 rounded-md p-3 mb-2 text-sm text-amber-800">
+                <p className="font-medium">⚠️ Check these parts before handing the document out:</p>
+                <ul className="list-disc ml-5 mt-1">
+                  {result.issues.map((issue, index) => (
+                    <li key={index}>
+                      "{issue.text.length > 80 ? `${issue.text.slice(0, 80)}…` : issue.text}"
+                      {issue.violations.length > 0 && ` — glossary terms not used: ${issue.violations.map(v => v.source).join(', ')}`}
+                      {issue.unrestored.length > 0 && ` — patient details missing: ${issue.unrestored.join(', ')}`}
+                      {issue.warnings.map((warning, warningIndex) => (
+                        <span key={warningIndex} className="block font-semibold">{warning.message}</span>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <iframe
+              title="Bilingual handout preview"
+              srcDoc={result.html}
+              sandbox=""
+              className="w-full flex-1 min-h-[24rem] border border-gray-200 rounded-md"
+            />
+          </>
+        ) : (
+          <div className="flex-1 flex items-center justify-center text-sm text-gray-400 border border-dashed border-gray-200 rounded-md min-h-[24rem]">
+            The translated handout appears here, with the English under each part
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DocumentTranslator;
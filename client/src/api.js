@@ -0,0 +1,51 @@
+// Requests to the API server, shared by the chat and document views
+
+// Signed-in user and token, kept across reloads until the token expires
+export const AUTH_STORAGE_KEY = 'mediTranslator.auth';
+export const SIGNED_OUT_EVENT = 'mediTranslator:signedOut';
+
+export const loadStoredAuth = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+    return stored && new Date(stored.expiresAt) > new Date() ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+// fetch with the bearer token; a 401 sends the user back to the login screen
+export const apiFetch = async (url, options = {}) => {
+  const token = loadStoredAuth()?.token;
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+  });
+  if (response.status === 401) {
+    window.dispatchEvent(new Event(SIGNED_OUT_EVENT));
+  }
+  return response;
+};
+
+// Reads a text/event-stream response body, calling onEvent(event, data) for
+// each message as it arrives
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const message = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = message.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = message.match(/^data: (.*)$/m)?.[1];
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+};
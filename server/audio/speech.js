@@ -0,0 +1,90 @@
+import { forEachWithConcurrency } from '../concurrency.js';
+import { getLanguage } from '../languages/index.js';
+
+// Text-to-speech through Google Cloud TTS. Long text is split into
+// sentence-sized chunks that are synthesized in parallel and played back as
+// a playlist, so the first sentence can start while the rest are generating.
+// Voices come from the language registry (tts), best first.
+
+const escapeSsml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const toSsml = (text) => `<speak>
+      <prosody rate="0.85" pitch="-2st" volume="medium">
+        <emphasis level="moderate">${escapeSsml(text)}</emphasis>
+      </prosody>
+      <break time="0.5s"/>
+    </speak>`;
+
+const ttsRequestFor = (ssml, languageCode, voiceOption) => ({
+  input: { ssml },
+  voice: {
+    languageCode,
+    ...(voiceOption.name && { name: voiceOption.name }),
+    ssmlGender: 'FEMALE',
+  },
+  audioConfig: {
+    audioEncoding: 'MP3',
+    speakingRate: 0.85,
+    pitch: -2.0,
+    volumeGainDb: 1.0,
+    sampleRateHertz: 24000,
+    effectsProfileId: ['telephony-class-application'],
+  },
+});
+
+export function createSpeechSynthesizer({ ttsClient, audioStore, concurrency = 3 }) {
+  // One chunk -> { clip, cached, billedCharacters }. A clip already stored
+  // for any of the voices is reused; otherwise voices are tried best first.
+  async function synthesize(text, targetLanguage) {
+    const { languageCode, voiceOptions } = getLanguage(targetLanguage).tts;
+    const ssml = toSsml(text);
+
+    const stored = voiceOptions
+      .map(voiceOption => audioStore.find(audioStore.keyFor(ttsRequestFor(ssml, languageCode, voiceOption))))
+      .find(Boolean);
+    if (stored) {
+      console.log(`Audio served from store (${stored.voiceType}): ${stored.bytes} bytes`);
+      return { clip: stored, cached: true, billedCharacters: 0 };
+    }
+
+    let lastError = null;
+    for (const voiceOption of voiceOptions) {
+      try {
+        const request = ttsRequestFor(ssml, languageCode, voiceOption);
+        const [response] = await ttsClient.synthesizeSpeech(request);
+
+        if (!response.audioContent) {
+          throw new Error('No audio content received from TTS service');
+        }
+
+        const clip = audioStore.save(audioStore.keyFor(request), response.audioContent, {
+          model: voiceOption.name || `${languageCode} ${voiceOption.type}`,
+          voiceType: `${voiceOption.type} (${targetLanguage})`,
+          language: targetLanguage
+        });
+        console.log(`Audio generated successfully with ${voiceOption.type} voice (${targetLanguage}): ${clip.bytes} bytes`);
+
+        // Google bills the SSML markup as well as the text
+        return { clip, cached: false, billedCharacters: ssml.length };
+      } catch (voiceError) {
+        console.log(`${voiceOption.type} voice failed (${targetLanguage}), trying next option:`, voiceError.message);
+        lastError = voiceError;
+      }
+    }
+
+    throw lastError || new Error('All voice options failed');
+  }
+
+  // Synthesizes every chunk, at most `concurrency` at a time, calling
+  // onClip(result, index) as each one finishes (not necessarily in order)
+  async function synthesizeAll(chunks, targetLanguage, onClip) {
+    await forEachWithConcurrency(chunks, concurrency, async (chunk, index) => {
+      onClip(await synthesize(chunk, targetLanguage), index);
+    });
+  }
+
+  return { synthesize, synthesizeAll };
+}
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Synthesized speech on disk under <DATA_DIR>/audio, one MP3 per clip with a
+// small JSON sidecar describing the voice. Clips are keyed by a hash of the
+// whole TTS request (SSML, voice and audio settings), so an identical phrase
+// is only ever synthesized once. No source text is written next to the audio.
+//
+// The audio is still patient speech, so clips expire after `ttlMs` and each
+// one records the sessions that played it; deleting the last of those
+// sessions deletes the clip.
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+// Signed URLs expire on the hour, so a clip requested twice in the same hour
+// gets the same URL and the browser can reuse its cached copy
+const EXPIRY_GRANULARITY_MS = 3600000;
+
+export const isAudioKey = (key) => KEY_PATTERN.test(key);
+
+export function createAudioStore(directory, { secret, urlTtlMs, ttlMs }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const fileFor = (key) => path.join(directory, `${key}.mp3`);
+  const metaFileFor = (key) => path.join(directory, `${key}.json`);
+  const sign = (key, expires) => crypto.createHmac('sha256', secret).update(`${key}.${expires}`).digest('hex');
+  // Clips saved before expiry was recorded age from their creation time
+  const isExpired = (entry) =>
+    new Date(entry.expiresAt || new Date(entry.createdAt).getTime() + ttlMs) <= new Date();
+
+  function readMeta(key) {
+    try {
+      return JSON.parse(fs.readFileSync(metaFileFor(key), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function writeMeta(entry) {
+    const tmpFile = `${metaFileFor(entry.key)}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(entry));
+    fs.renameSync(tmpFile, metaFileFor(entry.key));
+    return entry;
+  }
+
+  // Metadata first, so a half-removed clip is never found
+  function forget(key) {
+    fs.rmSync(metaFileFor(key), { force: true });
+    fs.rmSync(fileFor(key), { force: true });
+  }
+
+  function keyFor(ttsRequest) {
+    return crypto.createHash('sha256').update(JSON.stringify(ttsRequest)).digest('hex');
+  }
+
+  // The stored clip's metadata, or null when it isn't on disk or has expired
+  function find(key) {
+    if (!fs.existsSync(fileFor(key))) return null;
+    const entry = readMeta(key);
+    if (entry && isExpired(entry)) {
+      forget(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Audio first, metadata last: a clip only counts as stored once both exist
+  function save(key, audioContent, meta = {}) {
+    const now = new Date();
+    const entry = {
+      key,
+      ...meta,
+      bytes: audioContent.length,
+      sessions: [],
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlMs).toISOString()
+    };
+    const tmpFile = `${fileFor(key)}.tmp`;
+    fs.writeFileSync(tmpFile, audioContent);
+    fs.renameSync(tmpFile, fileFor(key));
+    return writeMeta(entry);
+  }
+
+  // Records that a session played the clip, so deleting it can take the clip
+  function addSession(key, sessionId) {
+    const entry = find(key);
+    if (!entry || (entry.sessions || []).includes(sessionId)) return entry;
+    return writeMeta({ ...entry, sessions: [...(entry.sessions || []), sessionId] });
+  }
+
+  const storedKeys = () => fs.readdirSync(directory)
+    .filter(name => name.endsWith('.mp3'))
+    .map(name => name.slice(0, -'.mp3'.length));
+
+  // Removes expired clips and any left without metadata; returns how many
+  function removeExpired() {
+    let removed = 0;
+    for (const key of storedKeys()) {
+      const entry = readMeta(key);
+      if (!entry || isExpired(entry)) {
+        forget(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  // Drops a deleted session from every clip, removing clips no other session
+  // played; returns how many were removed
+  function removeForSession(sessionId) {
+    let removed = 0;
+    for (const key of storedKeys()) {
+      const entry = readMeta(key);
+      if (!entry?.sessions?.includes(sessionId)) continue;
+
+      const sessions = entry.sessions.filter(id => id !== sessionId);
+      if (sessions.length === 0) {
+        forget(key);
+        removed += 1;
+      } else {
+        writeMeta({ ...entry, sessions });
+      }
+    }
+    return removed;
+  }
+
+  // <audio> elements can't send the Authorization header, so playback URLs
+  // carry their own expiring signature instead
+  function signedUrl(key, now = Date.now()) {
+    const expires = Math.ceil((now + urlTtlMs) / EXPIRY_GRANULARITY_MS) * EXPIRY_GRANULARITY_MS / 1000;
+    return {
+      audioUrl: `/api/audio/${key}.mp3?expires=${expires}&signature=${sign(key, expires)}`,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  function verifySignature(key, expires, signature) {
+    if (!isAudioKey(key) || !/^\d+$/.test(expires || '') || typeof signature !== 'string') return false;
+    if (Number(expires) * 1000 <= Date.now()) return false;
+    const expected = Buffer.from(sign(key, expires), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  return { keyFor, find, save, addSession, removeExpired, removeForSession, fileFor, signedUrl, verifySignature };
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Append-only audit trail of translation and audio requests, one JSON entry
+// per line. Every entry carries the hash of the one before it, so editing,
+// removing or reordering lines breaks the chain. Text is never stored, only
+// a content hash (keyed with AUDIT_HASH_SECRET when set, so short phrases
+// cannot be recovered by hashing guesses).
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Hashed in this order, independent of key order in the file
+export const AUDIT_FIELDS = [
+  'seq', 'timestamp', 'event', 'user', 'ip', 'sessionId', 'direction',
+  'language', 'provider', 'model', 'contentHash', 'status', 'prevHash'
+];
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+const entryHash = (entry) => sha256(JSON.stringify(AUDIT_FIELDS.map(field => entry[field] ?? null)));
+
+export function createAuditLog(filePath, { hashSecret } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  function readLines() {
+    if (!fs.existsSync(filePath)) return [];
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+  }
+
+  const entries = () => readLines().map(line => JSON.parse(line));
+
+  // Chain tip, kept in memory so appends never re-read the file
+  let tip = { seq: 0, hash: GENESIS_HASH };
+  const existing = readLines();
+  if (existing.length > 0) {
+    const last = JSON.parse(existing[existing.length - 1]);
+    tip = { seq: last.seq, hash: last.hash };
+  }
+
+  function contentHash(content) {
+    const payload = JSON.stringify(content);
+    return hashSecret
+      ? crypto.createHmac('sha256', hashSecret).update(payload).digest('hex')
+      : sha256(payload);
+  }
+
+  function append(fields) {
+    const entry = { seq: tip.seq + 1, timestamp: new Date().toISOString() };
+    for (const field of AUDIT_FIELDS) {
+      if (!(field in entry) && field !== 'prevHash' && fields[field] !== undefined) entry[field] = fields[field];
+    }
+    entry.prevHash = tip.hash;
+    entry.hash = entryHash(entry);
+
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    tip = { seq: entry.seq, hash: entry.hash };
+    return entry;
+  }
+
+  // Walks the whole chain. Stops at the first broken entry and says why.
+  function verify() {
+    const lines = readLines();
+    let previous = { seq: 0, hash: GENESIS_HASH };
+
+    for (const [index, line] of lines.entries()) {
+      const fail = (reason) => ({ valid: false, entries: lines.length, brokenAt: { line: index + 1, seq: previous.seq + 1, reason } });
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        return fail('Entry is not valid JSON');
+      }
+      if (entry.seq !== previous.seq + 1) return fail(`Expected sequence ${previous.seq + 1}, found ${entry.seq}`);
+      if (entry.prevHash !== previous.hash) return fail('Previous-hash link does not match');
+      if (entry.hash !== entryHash(entry)) return fail('Entry contents do not match its hash');
+
+      previous = { seq: entry.seq, hash: entry.hash };
+    }
+
+    // Lines cut from the end leave a valid but shorter chain
+    if (previous.seq < tip.seq) {
+      return {
+        valid: false,
+        entries: lines.length,
+        brokenAt: { line: lines.length + 1, seq: previous.seq + 1, reason: `Log ends at sequence ${previous.seq}, expected ${tip.seq}` }
+      };
+    }
+
+    return { valid: true, entries: lines.length, lastSeq: previous.seq, lastHash: previous.hash };
+  }
+
+  // Entries with from <= timestamp < to. anchorHash is the hash the first
+  // entry links to, so an exported range can be checked on its own.
+  function range({ from, to } = {}) {
+    const selected = entries().filter(entry =>
+      (!from || entry.timestamp >= from) && (!to || entry.timestamp < to));
+    return {
+      from: from || null,
+      to: to || null,
+      anchorHash: selected.length > 0 ? selected[0].prevHash : null,
+      entries: selected
+    };
+  }
+
+  return { append, contentHash, verify, range };
+}
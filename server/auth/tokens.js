@@ -0,0 +1,56 @@
+import jwt from 'jsonwebtoken';
+import { ROLE_PERMISSIONS } from './users.js';
+
+// Signed bearer tokens (HS256 JWT) and the Express middleware that checks
+// them. A token only carries the user id; role and disabled state are read
+// from the user store on every request, so changes apply immediately.
+
+export function createAuth({ users, secret, ttl = '12h' }) {
+  function issueToken(user) {
+    const token = jwt.sign({ sub: user.id }, secret, { expiresIn: ttl });
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000).toISOString() };
+  }
+
+  // Sets req.user for a valid token; requests without one carry on
+  // anonymously and are turned away by requirePermission
+  function authenticate(req, res, next) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return next();
+
+    try {
+      const { sub } = jwt.verify(token, secret);
+      const user = users.get(sub);
+      if (user && !user.disabled) {
+        req.user = { ...user, permissions: ROLE_PERMISSIONS[user.role] || [] };
+      }
+    } catch {
+      // Expired or tampered tokens are treated as no token
+    }
+    next();
+  }
+
+  function requireUser(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        details: 'Please sign in again'
+      });
+    }
+    next();
+  }
+
+  // `permission` may be a function of the request, e.g. read vs write by method
+  const requirePermission = (permission) => (req, res, next) => requireUser(req, res, () => {
+    const needed = typeof permission === 'function' ? permission(req) : permission;
+    if (!req.user.permissions.includes(needed)) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        details: `Your role (${req.user.role}) does not include ${needed}`
+      });
+    }
+    next();
+  });
+
+  return { issueToken, authenticate, requireUser, requirePermission };
+}
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// User accounts in a single JSON file under DATA_DIR. Passwords are stored
+// as salted scrypt hashes and never leave this module.
+
+export const ROLES = ['clinician', 'interpreter-reviewer', 'admin'];
+
+// What each role may do. Routes check permissions, never role names, so a
+// new role only needs an entry here.
+export const ROLE_PERMISSIONS = {
+  clinician: ['translate', 'sessions', 'glossary:read'],
+  'interpreter-reviewer': ['translate', 'sessions', 'glossary:read', 'glossary:write'],
+  admin: ['translate', 'sessions', 'sessions:all', 'glossary:read', 'glossary:write', 'audit:read', 'users:manage', 'usage:read', 'usage:manage', 'cache:manage']
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function passwordMatches(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// The account as the API shows it
+const publicUser = ({ passwordHash, ...user }) => user;
+
+export function createUserStore(filePath) {
+  let users = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')).users : [];
+
+  // Write-then-rename so a crash never leaves a half-written user file
+  function persist() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ users }, null, 2));
+    fs.renameSync(tmpFile, filePath);
+  }
+
+  const findByUsername = (username) =>
+    users.find(user => user.username === String(username).trim().toLowerCase()) || null;
+
+  function list() {
+    return users.map(publicUser);
+  }
+
+  function get(id) {
+    const user = users.find(user => user.id === id);
+    return user ? publicUser(user) : null;
+  }
+
+  function add({ username, password, displayName = '', role, clinic }) {
+    const now = new Date().toISOString();
+    const user = {
+      id: crypto.randomUUID(),
+      username: username.trim().toLowerCase(),
+      displayName: displayName.trim() || username.trim(),
+      role,
+      clinic: clinic?.trim() || null,
+      disabled: false,
+      passwordHash: hashPassword(password),
+      createdAt: now,
+      updatedAt: now
+    };
+    users.push(user);
+    persist();
+    return publicUser(user);
+  }
+
+  function update(id, changes) {
+    const user = users.find(user => user.id === id);
+    if (!user) return null;
+
+    if (typeof changes.displayName === 'string') user.displayName = changes.displayName.trim() || user.username;
+    if (changes.role !== undefined) user.role = changes.role;
+    if (changes.clinic !== undefined) user.clinic = changes.clinic?.trim() || null;
+    if (changes.disabled !== undefined) user.disabled = Boolean(changes.disabled);
+    if (changes.password !== undefined) user.passwordHash = hashPassword(changes.password);
+    user.updatedAt = new Date().toISOString();
+    persist();
+    return publicUser(user);
+  }
+
+  // Returns the account for a correct username/password, otherwise null
+  function authenticate(username, password) {
+    const user = findByUsername(username);
+    if (!user || user.disabled || !passwordMatches(String(password), user.passwordHash)) return null;
+    return publicUser(user);
+  }
+
+  return { list, get, findByUsername, add, update, authenticate, get size() { return users.length; } };
+}
+
+// Checks the fields present; `creating` also requires username and password
+export function validateUser(user, { creating = false } = {}) {
+  if (!user || typeof user !== 'object') {
+    return 'User must be an object';
+  }
+  if (creating && (typeof user.username !== 'string' || !/^[a-z0-9._-]{3,40}$/i.test(user.username.trim()))) {
+    return 'username must be 3-40 letters, digits, dots, dashes or underscores';
+  }
+  if ((creating || user.password !== undefined) &&
+      (typeof user.password !== 'string' || user.password.length < MIN_PASSWORD_LENGTH)) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if ((creating || user.role !== undefined) && !ROLES.includes(user.role)) {
+    return `role must be one of: ${ROLES.join(', ')}`;
+  }
+  if (user.displayName !== undefined && (typeof user.displayName !== 'string' || user.displayName.length > 100)) {
+    return 'displayName must be a string of 100 characters or less';
+  }
+  if (user.clinic !== undefined && user.clinic !== null && (typeof user.clinic !== 'string' || user.clinic.length > 100)) {
+    return 'clinic must be a string of 100 characters or less';
+  }
+  return null;
+}
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Translation cache: an in-memory LRU in front of one JSON file per entry
+// under <DATA_DIR>/translation-cache. Keys combine the normalized source
+// text, direction, language and a prompt version, so editing prompts, the
+// patient profile or the glossary never serves a stale translation.
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Case and spacing differences don't change an English phrase's meaning;
+// text in the patient's language only has its spacing normalized
+export function normalizeCacheText(text, translationDirection) {
+  const collapsed = text.normalize('NFKC').trim().replace(/\s+/g, ' ');
+  return translationDirection === 'to_patient' ? collapsed.toLowerCase() : collapsed;
+}
+
+// Short fingerprint of everything besides the text that shapes the output
+export const promptVersion = (...parts) => sha256(parts.map(String).join('\n\u0000')).slice(0, 16);
+
+export function createTranslationCache(directory, { ttlMs, memoryEntries = 500 }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const memory = new Map();
+  const stats = { hits: 0, misses: 0 };
+  const fileFor = (key) => path.join(directory, `${key}.json`);
+  const isExpired = (entry) => new Date(entry.expiresAt) <= new Date();
+
+  function remember(entry) {
+    memory.delete(entry.key);
+    memory.set(entry.key, entry);
+    if (memory.size > memoryEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  }
+
+  function readFile(key) {
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function forget(key) {
+    memory.delete(key);
+    fs.rmSync(fileFor(key), { force: true });
+  }
+
+  function keyFor({ text, translationDirection, targetLanguage, version }) {
+    return sha256(JSON.stringify([normalizeCacheText(text, translationDirection), translationDirection, targetLanguage, version]));
+  }
+
+  function get(key) {
+    const entry = memory.get(key) || readFile(key);
+    if (!entry || isExpired(entry)) {
+      if (entry) forget(key);
+      stats.misses += 1;
+      return null;
+    }
+
+    stats.hits += 1;
+    remember(entry);
+    return entry;
+  }
+
+  // `meta` (text, direction, language) is kept so admins can invalidate by it
+  function set(key, value, meta = {}) {
+    const now = new Date();
+    const entry = {
+      key,
+      ...meta,
+      value,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlMs).toISOString()
+    };
+
+    const tmpFile = `${fileFor(key)}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(entry));
+    fs.renameSync(tmpFile, fileFor(key));
+    remember(entry);
+    return entry;
+  }
+
+  const storedKeys = () => fs.readdirSync(directory)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.slice(0, -'.json'.length));
+
+  // Removes entries matching every given field (all entries when none are
+  // given) plus anything expired; returns how many were removed
+  function invalidate({ text, translationDirection, targetLanguage } = {}) {
+    let removed = 0;
+    for (const key of storedKeys()) {
+      const entry = readFile(key);
+      const matches = !entry || isExpired(entry) || (
+        (!text || entry.text === normalizeCacheText(text, entry.translationDirection)) &&
+        (!translationDirection || entry.translationDirection === translationDirection) &&
+        (!targetLanguage || entry.targetLanguage === targetLanguage));
+      if (matches) {
+        forget(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  function summary() {
+    return {
+      entries: storedKeys().length,
+      inMemory: memory.size,
+      memoryEntries,
+      ttlHours: ttlMs / 3600000,
+      ...stats
+    };
+  }
+
+  return { keyFor, get, set, invalidate, summary };
+}
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { buildProviderChain, translateWithProviders } from './providers/index.js';
+import { createGlossaryStore } from './glossary/store.js';
+import { getLanguage, DEFAULT_LANGUAGE } from './languages/index.js';
+
+// End-to-end check of the local provider chain (TRANSLATION_PROVIDERS=
+// local,dictionary) against the stand-in model server:
+//   1. with the stand-in up, translations come from `local`, plain and streamed
+//   2. with it stopped, the chain falls back to `dictionary`
+// Runs on its own port and data folder, so it leaves a running app alone.
+//
+//   npm run check:local
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORT = process.env.CHECK_STANDIN_PORT || 8799;
+const BASE_URL = `http://localhost:${PORT}/v1`;
+const STARTUP_TIMEOUT_MS = 10000;
+const CHECK_TIMEOUT_MS = 60000;
+const TEXT = 'where does it hurt';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'medi-translator-check-'));
+const glossary = createGlossaryStore(path.join(dataDir, 'glossary.json'));
+const chain = buildProviderChain(
+  { TRANSLATION_PROVIDERS: 'local,dictionary', LOCAL_LLM_BASE_URL: BASE_URL },
+  { glossary }
+);
+const request = {
+  text: TEXT,
+  systemPrompt: getLanguage(DEFAULT_LANGUAGE).prompts.doctor,
+  translationDirection: 'to_patient',
+  targetLanguage: DEFAULT_LANGUAGE
+};
+
+let standin = null;
+
+function startStandin() {
+  standin = spawn(process.execPath, [path.join(__dirname, 'standin-llm.js')], {
+    env: { ...process.env, STANDIN_PORT: String(PORT), DATA_DIR: dataDir },
+    stdio: 'ignore'
+  });
+  const exited = new Promise(resolve => standin.once('exit', resolve));
+
+  // Ready once it lists its model. Resolves with { exited }, not the promise
+  // itself, which would wait for the stand-in to stop.
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  return (async () => {
+    while (Date.now() < deadline) {
+      if (standin.exitCode !== null) throw new Error(`Stand-in exited with code ${standin.exitCode}`);
+      try {
+        const response = await fetch(`${BASE_URL}/models`);
+        if (response.ok) return { exited };
+      } catch {
+        // not listening yet
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`Stand-in did not start on port ${PORT}`);
+  })();
+}
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+  console.log(`  ✅ ${message}`);
+}
+
+async function check() {
+  const [, dictionary] = chain;
+  expect(chain.map(provider => provider.name).join(',') === 'local,dictionary', 'Provider chain is local, dictionary');
+  const { translation: expected } = await dictionary.translate(request);
+
+  console.log(`🧪 Starting stand-in on ${BASE_URL}`);
+  const { exited } = await startStandin();
+
+  const plain = await translateWithProviders(chain, { ...request });
+  expect(plain.provider === 'local' && plain.translation === expected, `local answers "${TEXT}" with "${expected}"`);
+
+  let streamed = '';
+  const stream = await translateWithProviders(chain, { ...request, onToken: (delta) => { streamed += delta; } });
+  expect(stream.provider === 'local' && streamed === expected, 'local streams the same translation');
+
+  console.log('🧪 Stopping stand-in');
+  standin.kill();
+  await exited;
+
+  const fallback = await translateWithProviders(chain, { ...request });
+  expect(fallback.provider === 'dictionary' && fallback.translation === expected, 'dictionary takes over while the stand-in is down');
+}
+
+const timer = setTimeout(() => {
+  console.error(`❌ Check timed out after ${CHECK_TIMEOUT_MS / 1000}s`);
+  standin?.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  process.exit(1);
+}, CHECK_TIMEOUT_MS);
+
+try {
+  await check();
+  console.log('✅ Local provider check passed');
+} catch (error) {
+  console.error(`❌ Local provider check failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  clearTimeout(timer);
+  if (standin && standin.exitCode === null) standin.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
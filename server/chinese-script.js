@@ -0,0 +1,44 @@
+import OpenCC from 'opencc-js';
+
+// Simplified / Traditional conversion, so the characters a patient reads are
+// a preference of their own rather than fixed by the spoken language: many
+// Cantonese speakers read Simplified, and Traditional differs between Hong
+// Kong and Taiwan in variant forms (着/著, 裏/裡, 台/臺). Translations are
+// still written, checked and cached in the language's own script
+// (defaultScript in the registry) and converted on the way out.
+
+export const CHINESE_SCRIPTS = ['simplified', 'traditional-hk', 'traditional-tw'];
+
+const OPENCC_LOCALES = {
+  simplified: 'cn',
+  'traditional-hk': 'hk',
+  'traditional-tw': 'tw'
+};
+
+export const isChineseScript = (script) => CHINESE_SCRIPTS.includes(script);
+
+// Building a converter loads its dictionaries, so each pair is built once
+const converters = new Map();
+function converterFor(from, to) {
+  const key = `${from}>${to}`;
+  if (!converters.has(key)) {
+    converters.set(key, OpenCC.Converter({ from: OPENCC_LOCALES[from], to: OPENCC_LOCALES[to] }));
+  }
+  return converters.get(key);
+}
+
+// Text written in one script as it would be written in another
+export function convertScript(text, from, to) {
+  if (!text || !isChineseScript(from) || !isChineseScript(to) || from === to) return text;
+  return converterFor(from, to)(text);
+}
+
+// Text in whatever script the patient typed (or a mix of them) in the given
+// one: Simplified characters first, then the other Traditional variants.
+// Used to match patient input against glossary phrases.
+export function normalizeScript(text, to) {
+  if (!text || !isChineseScript(to)) return text;
+  return CHINESE_SCRIPTS
+    .filter(from => from !== to)
+    .reduce((converted, from) => converterFor(from, to)(converted), text);
+}
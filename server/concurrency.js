@@ -0,0 +1,19 @@
+// Runs fn(item, index) over items with at most `limit` calls in flight.
+// Resolves once all are done; rejects with the first failure, after which
+// no further items are started (calls already in flight still finish).
+export async function forEachWithConcurrency(items, limit, fn) {
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
@@ -0,0 +1,466 @@
+// Safety check on finished translations: every number, unit, dosing
+// frequency, clock time and drug name in the source must survive into the
+// translation. Chinese numerals are read as numbers, so "twice a day" matches
+// 每日2次 as well as 一日兩次, and "for 7 days" matches 连续七天.
+//
+// Facts are pulled out in order (frequencies, then clock times, then
+// quantities with a unit, then bare numbers), each pass blanking out what it
+// matched so "每日2次" isn't also read as "2 times".
+//
+// Patient languages in Latin script (Vietnamese, Spanish) are only read for
+// what is written the same way everywhere (digits, clock times and metric
+// units) and for dosing frequencies. Against those, the English side is
+// compared number by number.
+
+const CHINESE_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const CHINESE_MULTIPLIERS = { 十: 10, 百: 100, 千: 1000 };
+
+const ENGLISH_NUMBERS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, fifty: 50, hundred: 100,
+  half: 0.5, a: 1, an: 1, single: 1, once: 1, twice: 2, thrice: 3
+};
+
+const chineseNumber = (text) => {
+  if (text === '半') return 0.5;
+  const [whole, fraction] = text.split(/[点點]/);
+  let total = 0;
+  let digit = null;
+  for (const char of whole) {
+    if (char in CHINESE_MULTIPLIERS) {
+      total += (digit ?? 1) * CHINESE_MULTIPLIERS[char];
+      digit = null;
+    } else {
+      digit = CHINESE_DIGITS[char];
+    }
+  }
+  total += digit ?? 0;
+  return fraction ? Number(`${total}.${[...fraction].map(char => CHINESE_DIGITS[char]).join('')}`) : total;
+};
+
+const toNumber = (text) => {
+  const value = text.toLowerCase().replace(/\s*times?$/, '');
+  if (/^\d+\/\d+$/.test(value)) {
+    const [numerator, denominator] = value.split('/');
+    return Number(numerator) / Number(denominator);
+  }
+  if (/^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/.test(value)) return Number(value.replace(/,/g, ''));
+  if (/^\d/.test(value)) return Number(value.replace(',', '.'));
+  if (value in ENGLISH_NUMBERS) return ENGLISH_NUMBERS[value];
+  return chineseNumber(value);
+};
+
+// Unit patterns, canonical name first
+const ENGLISH_UNITS = [
+  ['mg', 'mg|milligrams?'],
+  ['mcg', 'mcg|micrograms?|µg'],
+  ['kg', 'kg|kilos?|kilograms?'],
+  ['g', 'g|grams?'],
+  ['mL', 'ml|mls|milliliters?|millilitres?|cc'],
+  ['L', 'liters?|litres?'],
+  ['unit', 'units?|iu'],
+  ['%', '%|percent'],
+  ['tab', 'tablets?|tabs?|capsules?|caps?|pills?'],
+  ['drop', 'drops?'],
+  ['puff', 'puffs?'],
+  ['°F', '° ?f|degrees? f(?:ahrenheit)?'],
+  ['°C', '° ?c|degrees? c(?:elsius)?'],
+  ['degree', 'degrees?|°'],
+  ['lb', 'lbs?|pounds?'],
+  ['cm', 'cm|centimet(?:er|re)s?'],
+  ['minute', 'minutes?|mins?'],
+  ['hour', 'hours?|hrs?'],
+  ['day', 'days?'],
+  ['week', 'weeks?|wks?'],
+  ['month', 'months?'],
+  ['year', 'years?'],
+  ['time', 'times']
+];
+
+const CHINESE_UNITS = [
+  ['mg', '毫克|mg'],
+  ['mcg', '微克|mcg'],
+  ['kg', '公斤|千克|kg'],
+  ['g', '克|g'],
+  ['mL', '毫升|ml|cc'],
+  ['L', '公升|升'],
+  ['unit', '国际单位|國際單位|单位|單位'],
+  ['%', '%'],
+  ['tab', '片|粒|颗|顆|丸'],
+  ['drop', '滴'],
+  ['puff', '喷|噴|下'],
+  ['°F', '°F|℉'],
+  ['°C', '°C|℃'],
+  ['degree', '度'],
+  ['lb', '磅'],
+  ['cm', '公分|厘米|cm'],
+  ['minute', '分钟|分鐘'],
+  ['hour', '小时|小時|钟头|鐘頭|钟|鐘'],
+  ['day', '天|日'],
+  ['week', '星期|礼拜|禮拜|周|週'],
+  ['month', '月'],
+  ['year', '岁|歲|年'],
+  ['time', '次']
+];
+
+// Units written the same way in the Latin-script patient languages
+const METRIC_UNITS = [
+  ['mg', 'mg'],
+  ['mcg', 'mcg|µg'],
+  ['kg', 'kg'],
+  ['g', 'g'],
+  ['mL', 'ml|cc'],
+  ['%', '%'],
+  ['°F', '° ?f|℉'],
+  ['°C', '° ?c|℃'],
+  ['cm', 'cm']
+];
+const METRIC = new Set(METRIC_UNITS.map(([unit]) => unit));
+
+const unitAlternation = (units) => units.map(([, pattern]) => pattern).join('|');
+const unitFor = (units, text) => units.find(([, pattern]) => new RegExp(`^(?:${pattern})$`, 'i').test(text))[0];
+
+const UNIT_TYPES = {
+  mg: 'dose', mcg: 'dose', g: 'dose', mL: 'dose', L: 'dose', unit: 'dose', tab: 'dose', drop: 'dose', puff: 'dose',
+  '°F': 'temperature', '°C': 'temperature', degree: 'temperature',
+  minute: 'duration', hour: 'duration', day: 'duration', week: 'duration', month: 'duration', year: 'duration'
+};
+
+// "degrees" without a scale matches either scale
+const sameUnit = (a, b) => a === b || (UNIT_TYPES[a] === 'temperature' && UNIT_TYPES[b] === 'temperature' && (a === 'degree' || b === 'degree'));
+
+// Digits with thousands separators ("1,000", "2,500.5"); tried before plain
+// digits so "1,000 mg" is not read as "000 mg"
+const GROUPED_DIGITS = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?';
+const DIGITS = `${GROUPED_DIGITS}|\\d+(?:\\.\\d+)?`;
+
+const EN_NUMBER = `${GROUPED_DIGITS}|\\d+(?:\\.\\d+)?(?:\\/\\d+)?|zero|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty|thirty|forty|fifty|hundred|half|single|an|a`;
+const ZH_INTEGER = '\\d+|[零〇一二两兩三四五六七八九十百千]+';
+const ZH_NUMBER = `${DIGITS}|[零〇一二两兩三四五六七八九十百千]+(?:[点點][零〇一二三四五六七八九]+)?|半`;
+// Words allowed between 每日 and 2次: 服用, 食, 服用这个药物…
+const ZH_GAP = '[^\\d，。,.；;！？!?、]{0,8}?';
+
+const ENGLISH_TIMES = { once: 1, twice: 2, thrice: 3 };
+const ABBREVIATED_FREQUENCIES = { qd: 1, bid: 2, tid: 3, qid: 4 };
+
+const ENGLISH_RULES = {
+  frequencies: [
+    [new RegExp(`\\b(once|twice|thrice|(?:${EN_NUMBER}) times?) (?:a|per|each|every) (day|week)\\b`, 'g'),
+      (m) => ({ per: m[2], times: ENGLISH_TIMES[m[1]] ?? toNumber(m[1]) })],
+    [new RegExp(`\\b(once|twice|thrice|(?:${EN_NUMBER}) times?) (daily|weekly)\\b`, 'g'),
+      (m) => ({ per: m[2] === 'daily' ? 'day' : 'week', times: ENGLISH_TIMES[m[1]] ?? toNumber(m[1]) })],
+    [new RegExp(`\\bevery (${EN_NUMBER}) (?:hours?|hrs?)\\b`, 'g'), (m) => ({ everyHours: toNumber(m[1]) })],
+    [/\bevery hour\b/g, () => ({ everyHours: 1 })],
+    [/\bq ?(\d+) ?h(?:rs?)?\b/g, (m) => ({ everyHours: Number(m[1]) })],
+    [/\b(qd|bid|tid|qid)\b/g, (m) => ({ per: 'day', times: ABBREVIATED_FREQUENCIES[m[1]] })],
+    [/\b(?:daily|every day|each day|nightly|every (?:morning|evening|night)|each (?:morning|evening|night))\b/g, () => ({ per: 'day', times: 1 })],
+    [/\b(?:weekly|every week)\b/g, () => ({ per: 'week', times: 1 })]
+  ],
+  // "8 tablets a day" is a rate, not one day; "for a day" is a duration
+  rates: /(?<!\b(?:for|in|within|after|over|about|than) )\b(?:a|an|per) (?:day|week|month|hour)\b/g,
+  counts: /\b(once|twice|thrice)\b/g,
+  times: [
+    [/\b(\d{1,2})(?::(\d{2}))? ?([ap])\.?m\b\.?/g, (m) => ({ minutes: (Number(m[1]) % 12 + (m[3] === 'p' ? 12 : 0)) * 60 + Number(m[2] || 0) })],
+    [/\b(\d{1,2}):(\d{2})\b/g, (m) => ({ minutes: Number(m[1]) * 60 + Number(m[2]), ambiguous: Number(m[1]) <= 12 })],
+    [/\bnoon\b/g, () => ({ minutes: 720 })],
+    [/\bmidnight\b/g, () => ({ minutes: 0 })]
+  ],
+  quantity: new RegExp(`(?<![\\w.])(${EN_NUMBER})(?:\\s*(?:-|–|to|or)\\s*(${EN_NUMBER}))?[\\s-]?(${unitAlternation(ENGLISH_UNITS)})(?![a-z])`, 'gi'),
+  units: ENGLISH_UNITS,
+  numbers: /(?<![\d.,])\d{1,3}(?:,\d{3})+(?:\.\d+)?(?![\d,])|(?<![\d.])\d+(?:\.\d+)?(?!\d)|\b(?:two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty|thirty|forty|fifty)\b/g
+};
+
+const CHINESE_RULES = {
+  frequencies: [
+    [new RegExp(`(?:每|一)(?:日|天)${ZH_GAP}(${ZH_NUMBER})次`, 'g'), (m) => ({ per: 'day', times: toNumber(m[1]) })],
+    [new RegExp(`(?:每|一)(?:个|個)?(?:星期|礼拜|禮拜|周|週)${ZH_GAP}(${ZH_NUMBER})次`, 'g'), (m) => ({ per: 'week', times: toNumber(m[1]) })],
+    [new RegExp(`每(?:隔)?(${ZH_NUMBER})(?:个|個)?(?:小时|小時|钟头|鐘頭|钟|鐘)(?:${ZH_GAP}[一1]次)?`, 'g'), (m) => ({ everyHours: toNumber(m[1]) })],
+    [/每(?:日|天|晚|早|朝|夜)/g, () => ({ per: 'day', times: 1 })],
+    [/每(?:个|個)?(?:星期|礼拜|禮拜|周|週)/g, () => ({ per: 'week', times: 1 })]
+  ],
+  times: [
+    [new RegExp(`(凌晨|早上|早晨|上午|朝早|中午|下午|傍晚|晚上|夜晚|夜間|夜间)?(${ZH_INTEGER})(?:点|點|时|時)(钟|鐘)?(半|(${ZH_INTEGER})分)?`, 'g'), (m) => {
+      // 一点 on its own is "a little", not one o'clock
+      if (!m[1] && !/\d/.test(m[2]) && !m[3] && !m[4]) return null;
+      const hour = toNumber(m[2]);
+      const minute = m[4] === '半' ? 30 : m[5] ? toNumber(m[5]) : 0;
+      const afternoon = /下午|傍晚|晚上|夜晚|夜間|夜间/.test(m[1] || '') && hour < 12;
+      return { minutes: (hour + (afternoon ? 12 : 0)) * 60 + minute, ambiguous: !m[1] };
+    }],
+    [/\b(\d{1,2}):(\d{2})\b/g, (m) => ({ minutes: Number(m[1]) * 60 + Number(m[2]), ambiguous: Number(m[1]) <= 12 })]
+  ],
+  percent: new RegExp(`百分之(${ZH_NUMBER})`, 'g'),
+  quantity: new RegExp(`(华氏|華氏|摄氏|攝氏)?(${ZH_NUMBER})(?:\\s*(?:至|到|-|–|~|～)\\s*(${ZH_NUMBER}))?\\s*(?:个|個)?(${unitAlternation(CHINESE_UNITS)})`, 'gi'),
+  units: CHINESE_UNITS,
+  numbers: /(?<![\d.,])\d{1,3}(?:,\d{3})+(?:\.\d+)?(?![\d,])|(?<![\d.])\d+(?:\.\d+)?(?!\d)/g
+};
+
+// Spanish and Vietnamese group thousands with a point and write decimals
+// with a comma: "1.000 mg" is a thousand, "2,5 mg" two and a half. A point
+// that doesn't group thousands ("2.5 mg", copied from English) is a decimal.
+const LATIN_NUMBER = '\\d{1,3}(?:\\.\\d{3})+(?:,\\d+)?|\\d+(?:[.,]\\d+)?';
+const latinNumber = (text) => /^\d{1,3}(?:\.\d{3})+(?:,\d+)?$/.test(text)
+  ? Number(text.replace(/\./g, '').replace(',', '.'))
+  : Number(text.replace(',', '.'));
+
+// Frequencies in Spanish and Vietnamese. Their counts are usually words
+// ("dos veces", "hai lần"), read with the language's numberWords; a pattern
+// whose count isn't a number word yields no fact.
+const latinPattern = (pattern) => new RegExp(`(?<![\\p{L}\\d])(?:${pattern})(?![\\p{L}])`, 'giu');
+const LATIN_COUNT = '\\d+|\\p{L}+';
+const latinCount = (text, numberWords = {}) => /^\d+$/.test(text) ? Number(text) : numberWords[text.toLowerCase()];
+const latinPer = (text) => /d[ií]a|diari|ngày/i.test(text) ? 'day' : 'week';
+const latinFrequency = (per, count, numberWords) => {
+  const times = latinCount(count, numberWords);
+  return times === undefined ? null : { per: latinPer(per), times };
+};
+
+const LATIN_RULES = {
+  frequencies: [
+    // dos veces al día, una vez por semana, 3 veces diarias, hai lần mỗi ngày, 2 lần/ngày
+    [latinPattern(`(${LATIN_COUNT}) (?:veces|vez|lần) ?(?:al|por|cada|a la|mỗi|một|trong|/)? ?(d[ií]a|semana|ngày|tuần)`),
+      (m, numberWords) => latinFrequency(m[2], m[1], numberWords)],
+    [latinPattern(`(${LATIN_COUNT}) (?:veces|vez) (diarias?|semanales?)`),
+      (m, numberWords) => latinFrequency(m[2], m[1], numberWords)],
+    // ngày 3 lần, mỗi ngày uống hai lần
+    [latinPattern(`(ngày|tuần)(?: uống| dùng| bôi| nhỏ| xịt)? (${LATIN_COUNT}) lần`),
+      (m, numberWords) => latinFrequency(m[1], m[2], numberWords)],
+    // cada 8 horas, mỗi 8 giờ, cách 8 tiếng
+    [latinPattern(`(?:cada|mỗi|cách) (${LATIN_COUNT}) (?:horas?|giờ|tiếng)`), (m, numberWords) => {
+      const everyHours = latinCount(m[1], numberWords);
+      return everyHours === undefined ? null : { everyHours };
+    }],
+    [latinPattern('diariamente|diari[ao]|todos los d[ií]as|cada d[ií]a|al d[ií]a|por d[ií]a|(?:mỗi|hằng|hàng) ngày|/ ?(?:d[ií]a|ngày)'),
+      () => ({ per: 'day', times: 1 })],
+    [latinPattern('semanalmente|cada semana|a la semana|por semana|(?:mỗi|hằng|hàng) tuần'),
+      () => ({ per: 'week', times: 1 })]
+  ],
+  times: [
+    [/\b(\d{1,2})[:h](\d{2})\b/g, (m) => ({ minutes: Number(m[1]) * 60 + Number(m[2]), ambiguous: Number(m[1]) <= 12 })]
+  ],
+  quantity: new RegExp(`(?<![\\d.,])(${LATIN_NUMBER})(?:\\s*(?:-|–|a|đến)\\s*(${LATIN_NUMBER}))?\\s*(${unitAlternation(METRIC_UNITS)})(?![\\p{L}])`, 'giu'),
+  units: METRIC_UNITS,
+  numbers: new RegExp(`(?<![\\d.,])(?:${LATIN_NUMBER})(?!\\d)`, 'g')
+};
+
+const RULES = { english: ENGLISH_RULES, chinese: CHINESE_RULES, latin: LATIN_RULES };
+
+// Runs pattern over text, calling collect(match) for each hit and blanking
+// it out so later passes don't see it again. A hit collect() returns false
+// for is left in place: 二点 in 二点五毫克 is no clock time, and the
+// quantity pass still has to read 2.5 mg.
+const consume = (text, pattern, collect) => text.replace(pattern, (...args) => {
+  if (collect(args.slice(0, -2)) === false) return args[0];
+  return ' '.repeat(args[0].length);
+});
+
+// numberWords: the patient language's number words, for Latin-script text
+function extractFacts(text, kind, numberWords) {
+  const rules = RULES[kind];
+  const isEnglish = kind === 'english';
+  const number = kind === 'latin' ? latinNumber : toNumber;
+  const facts = { frequencies: [], times: [], quantities: [], numbers: [] };
+  let rest = isEnglish
+    ? text.toLowerCase().replace(/\bhalf an? /g, 'half ').replace(/\ba half\b/g, 'half')
+    : text;
+
+  for (const [pattern, toFact] of rules.frequencies) {
+    rest = consume(rest, pattern, (m) => {
+      const fact = toFact(m, numberWords);
+      if (!fact) return false;
+      facts.frequencies.push({ ...fact, text: m[0].trim() });
+    });
+  }
+  for (const [pattern, toFact] of rules.times) {
+    rest = consume(rest, pattern, (m) => {
+      const fact = toFact(m);
+      if (!fact) return false;
+      facts.times.push({ ...fact, text: m[0].trim() });
+    });
+  }
+  if (rules.rates) {
+    rest = consume(rest, rules.rates, () => {});
+    rest = consume(rest, rules.counts, (m) => facts.quantities.push({ value: toNumber(m[1]), unit: 'time', text: m[0] }));
+  }
+  if (rules.percent) {
+    rest = consume(rest, rules.percent, (m) => facts.quantities.push({ value: toNumber(m[1]), unit: '%', text: m[0] }));
+  }
+  rest = consume(rest, rules.quantity, (m) => {
+    const [match, ...groups] = m;
+    const [scale, from, to, unitText] = kind === 'chinese' ? groups : [null, ...groups];
+    const raw = unitText.toLowerCase();
+    // "at a time" and 一下 ("a moment") aren't quantities
+    if (isEnglish && /^an?$/.test(from) && raw === 'times') return;
+    if (kind === 'chinese' && raw === '下' && !/^\d/.test(from)) return;
+
+    let unit = unitFor(rules.units, unitText);
+    if (unit === 'degree' && scale) unit = /华氏|華氏/.test(scale) ? '°F' : '°C';
+    for (const value of [from, to].filter(Boolean)) {
+      facts.quantities.push({ value: number(value), unit, text: match.trim() });
+    }
+  });
+  consume(rest, rules.numbers, (m) => facts.numbers.push({ value: number(m[0]), text: m[0] }));
+
+  return facts;
+}
+
+// English facts as a Latin-script translation can be checked for:
+// frequencies, metric quantities as they are, and every other number the
+// source writes as digits (units and clock times are written too many ways)
+function digitFacts(facts) {
+  const digitsIn = (text) => (text.match(new RegExp(DIGITS, 'g')) || []).map(digits => ({ value: toNumber(digits), text: digits }));
+  return {
+    frequencies: facts.frequencies,
+    times: [],
+    quantities: facts.quantities.filter(fact => METRIC.has(fact.unit) && /\d/.test(fact.text)),
+    numbers: [
+      ...facts.numbers.filter(fact => /\d/.test(fact.text)),
+      ...[...facts.times, ...facts.quantities.filter(fact => !METRIC.has(fact.unit))]
+        .flatMap(fact => digitsIn(fact.text))
+    ]
+  };
+}
+
+// Every number that appears anywhere in the translation, however written.
+// numberWords: the patient language's own words for numbers, if any.
+function allNumbers(text, facts, numberWords = {}, kind = 'english') {
+  const values = new Set([
+    ...facts.quantities.map(fact => fact.value),
+    ...facts.numbers.map(fact => fact.value),
+    ...facts.frequencies.flatMap(fact => [fact.times, fact.everyHours]),
+    ...facts.times.flatMap(fact => [Math.floor(fact.minutes / 60), fact.minutes % 60])
+  ]);
+  if (kind === 'latin') {
+    for (const match of text.match(LATIN_RULES.numbers) || []) values.add(latinNumber(match));
+  } else {
+    for (const match of text.match(new RegExp(`${DIGITS}|[零〇一二两兩三四五六七八九十百千]+(?:[点點][零〇一二三四五六七八九]+)?`, 'g')) || []) {
+      values.add(toNumber(match));
+    }
+  }
+  for (const word of text.toLowerCase().match(/\b[a-z]+\b/g) || []) {
+    if (word in ENGLISH_NUMBERS && !['a', 'an', 'single'].includes(word)) values.add(ENGLISH_NUMBERS[word]);
+  }
+  for (const word of text.toLowerCase().match(/[\p{L}]+/gu) || []) {
+    if (Object.hasOwn(numberWords, word)) values.add(numberWords[word]);
+  }
+  return values;
+}
+
+const sameFrequency = (a, b) => a.everyHours
+  ? a.everyHours === b.everyHours
+  : a.per === b.per && a.times === b.times;
+
+const sameTime = (a, b) => a.minutes === b.minutes ||
+  ((a.ambiguous || b.ambiguous) && a.minutes % 720 === b.minutes % 720);
+
+const uniqueBy = (items, key) => [...new Map(items.map(item => [key(item), item])).values()];
+
+// Drug names: from the glossary, the patient's medication list, and English
+// words with a drug-like ending (-cillin, -pril, -statin…)
+const DRUG_NAME = /\b(?:[a-z]{2,}(?:cillin|mycin|micin|cycline|floxacin|azole|pril|sartan|olol|dipine|statin|formin|gliptin|gliflozin|glitazone|oxetine|aline|triptan|tidine|setron|semide|thiazide|parin|xaban|gatran|lukast|isone|olone|profen|fenac|codone|morphone|azepam|azolam|afil|terol|sonide|tropium|ophen)|insulin|aspirin|warfarin|paracetamol|codeine|morphine|digoxin|nitroglycerin)\b/gi;
+
+const containsName = (text, name) => text.toLowerCase().includes(name.toLowerCase());
+
+// Latin-script languages adapt drug names (amoxicillin -> amoxicilina), so
+// there the stem is enough
+const foldAccents = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+const containsStem = (text, name) =>
+  foldAccents(text).includes(foldAccents(name).slice(0, Math.max(5, name.length - 3)));
+
+function drugWarnings(source, translation, { sourceIsEnglish, latin }, drugs) {
+  const warnings = [];
+  const inTranslation = (name) => latin ? containsStem(translation, name) : containsName(translation, name);
+  const known = drugs.filter(drug => containsName(source, drug.source));
+  for (const drug of known) {
+    if (!inTranslation(drug.source) && !(drug.target && containsName(translation, drug.target))) {
+      warnings.push({
+        type: 'drug',
+        source: drug.source,
+        message: drug.target
+          ? `Drug name "${drug.source}" should appear as "${drug.target}" in the translation`
+          : `Drug name "${drug.source}" does not appear in the translation`
+      });
+    }
+  }
+
+  // Names we have no approved rendering for must at least survive as
+  // written. In a Latin-script source every word is Latin, so only glossary
+  // and profile names are checked there.
+  const names = sourceIsEnglish
+    ? source.match(DRUG_NAME) || []
+    : latin ? [] : source.match(/[A-Za-z][A-Za-z-]{3,}/g) || [];
+  for (const name of uniqueBy(names, name => name.toLowerCase())) {
+    if (known.some(drug => containsName(drug.source, name)) || inTranslation(name)) continue;
+    warnings.push({
+      type: 'drug',
+      source: name,
+      message: sourceIsEnglish
+        ? `Drug name "${name}" does not appear in the translation; check the translated name is correct`
+        : `"${name}" does not appear in the translation`
+    });
+  }
+  return warnings;
+}
+
+const describeFrequency = (fact) => fact.everyHours ? `every ${fact.everyHours} hours` : `${fact.times} per ${fact.per}`;
+
+// Returns [{ type, source, message }] for every fact in the source that the
+// translation doesn't carry. drugs: [{ source, target }] known medication
+// names for this direction (target may be null). script and numberWords
+// describe the patient language (see server/languages/).
+export function checkConsistency(source, translation, { translationDirection, script = 'Hans', numberWords, drugs = [] }) {
+  const sourceIsEnglish = translationDirection === 'to_patient';
+  const latin = script === 'Latn';
+  const patientKind = latin ? 'latin' : 'chinese';
+  const english = (text) => latin && sourceIsEnglish
+    ? digitFacts(extractFacts(text, 'english'))
+    : extractFacts(text, 'english');
+  const from = sourceIsEnglish ? english(source) : extractFacts(source, patientKind, numberWords);
+  const to = sourceIsEnglish ? extractFacts(translation, patientKind, numberWords) : extractFacts(translation, 'english');
+  const numbers = sourceIsEnglish
+    ? allNumbers(translation, to, numberWords, patientKind)
+    : allNumbers(translation, to);
+  const warnings = [];
+
+  for (const fact of uniqueBy(from.frequencies, describeFrequency)) {
+    if (to.frequencies.some(other => sameFrequency(fact, other))) continue;
+    const found = to.frequencies.map(describeFrequency);
+    warnings.push({
+      type: 'frequency',
+      source: fact.text,
+      message: found.length > 0
+        ? `Frequency "${fact.text}" (${describeFrequency(fact)}) reads as ${found.join(', ')} in the translation`
+        : `Frequency "${fact.text}" is missing from the translation`
+    });
+  }
+
+  for (const fact of uniqueBy(from.times, time => time.minutes)) {
+    if (to.times.some(other => sameTime(fact, other))) continue;
+    warnings.push({ type: 'time', source: fact.text, message: `Time "${fact.text}" is missing or changed in the translation` });
+  }
+
+  for (const fact of uniqueBy(from.quantities, quantity => `${quantity.value} ${quantity.unit}`)) {
+    if (to.quantities.some(other => other.value === fact.value && sameUnit(fact.unit, other.unit))) continue;
+    const type = UNIT_TYPES[fact.unit] || 'quantity';
+    // "1,000 mg" is 1 mg in Spanish, so say how a Latin-script number was read
+    const changed = to.quantities
+      .filter(other => sameUnit(fact.unit, other.unit))
+      .map(other => latin && sourceIsEnglish ? `${other.text} (${other.value} ${other.unit})` : other.text);
+    warnings.push({
+      type,
+      source: fact.text,
+      message: numbers.has(fact.value)
+        ? `"${fact.text}": the number ${fact.value} is in the translation but not with the same unit`
+        : changed.length > 0
+          ? `"${fact.text}" reads as ${[...new Set(changed)].join(', ')} in the translation`
+          : `"${fact.text}" is missing from the translation`
+    });
+  }
+
+  for (const fact of uniqueBy(from.numbers, number => number.value)) {
+    if (numbers.has(fact.value)) continue;
+    warnings.push({ type: 'number', source: fact.text, message: `Number ${fact.text} is missing from the translation` });
+  }
+
+  return [...warnings, ...drugWarnings(source, translation, { sourceIsEnglish, latin }, drugs)];
+}
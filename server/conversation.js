@@ -0,0 +1,43 @@
+// Prior turns sent with /api/translate. Short replies ("two days", "yes, on
+// the left") only make sense next to the question they answer, so a bounded
+// window of recent turns is shown to the model as reference material.
+
+const MAX_TURN_LENGTH = 500;
+
+const clip = (text) => text.length > MAX_TURN_LENGTH ? `${text.slice(0, MAX_TURN_LENGTH)}...` : text;
+
+// Keep only well-formed turns, newest last, at most maxTurns of them
+export function normalizeConversationHistory(history, maxTurns) {
+  if (!Array.isArray(history) || maxTurns <= 0) return [];
+
+  return history
+    .filter(turn =>
+      turn &&
+      ['doctor', 'patient'].includes(turn.speaker) &&
+      typeof turn.originalText === 'string' &&
+      turn.originalText.trim().length > 0)
+    .slice(-maxTurns)
+    .map(turn => ({
+      speaker: turn.speaker,
+      originalText: clip(turn.originalText.trim()),
+      translatedText: typeof turn.translatedText === 'string' ? clip(turn.translatedText.trim()) : ''
+    }));
+}
+
+export function withConversationContext(systemPrompt, turns) {
+  if (turns.length === 0) return systemPrompt;
+
+  const transcript = turns.map(turn => {
+    const label = turn.speaker === 'doctor' ? 'Doctor' : 'Patient';
+    return turn.translatedText
+      ? `${label}: ${turn.originalText}\n  (translated: ${turn.translatedText})`
+      : `${label}: ${turn.originalText}`;
+  }).join('\n');
+
+  return `${systemPrompt}
+
+CONVERSATION SO FAR (oldest first, for reference only):
+${transcript}
+
+Use the conversation only to resolve pronouns, omitted subjects and short answers in the new input (for example, a bare "two days" answering "When did this start?" means the symptom started two days ago). Translate ONLY the new input. Do not repeat, summarize or answer earlier turns, and do not add information that is not implied by the new input.`;
+}
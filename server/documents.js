@@ -0,0 +1,291 @@
+import { splitIntoSegments } from './segments.js';
+import { forEachWithConcurrency } from './concurrency.js';
+import { getLanguage, languageLabel } from './languages/index.js';
+
+// Document translation for discharge instructions and other handouts. A
+// Markdown or plain-text document is parsed into blocks (headings, list
+// items, tables, paragraphs) and only the text inside them is translated, so
+// heading levels, numbering and table layout come back exactly as written.
+
+export const MAX_DOCUMENT_LENGTH = 50000;
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,3}[.)])\s+(.*)$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|(\s*:?-+:?\s*\|)+\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+// Plain-text documents mark sections with a line in capitals or ending in a colon
+const PLAIN_HEADING = /^(?=.*[A-Z])[^a-z]{3,80}$|^.{1,80}:\s*$/;
+// A line that finishes a sentence is usually a separate instruction, not a wrapped one
+const SENTENCE_END = /[.!?;:。！？；：]\s*$/;
+
+// The patient-language notice comes from the language registry
+const ENGLISH_DISCLAIMER = 'This handout was translated by machine translation (AI) and has not been reviewed by a certified medical interpreter. It may contain errors. Confirm important information, especially medication and dosing instructions, with your care team.';
+
+const splitCells = (line) => line.trim()
+  .replace(/^\|/, '')
+  .replace(/\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => ({ text: cell.trim() }));
+
+// Blocks in document order:
+//   { type: 'heading', marker: '## ', text }
+//   { type: 'list', marker: '  1. ', text }
+//   { type: 'table', rows: [{ cells: [{ text }] } | { separator }] }
+//   { type: 'paragraph', text, standalone }
+//   { type: 'verbatim', text }   blank lines, rules and code, never translated
+export function parseDocument(text) {
+  const blocks = [];
+  let fence = null;
+
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const last = blocks[blocks.length - 1];
+
+    if (fence) {
+      fence.text += `\n${line}`;
+      if (FENCE.test(line)) fence = null;
+      continue;
+    }
+
+    if (FENCE.test(line)) {
+      fence = { type: 'verbatim', text: line };
+      blocks.push(fence);
+      continue;
+    }
+
+    if (!line.trim() || RULE.test(line)) {
+      blocks.push({ type: 'verbatim', text: line });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', marker: `${heading[1]} `, text: heading[2] });
+      continue;
+    }
+
+    if (TABLE_ROW.test(line)) {
+      const row = TABLE_SEPARATOR.test(line) ? { separator: line } : { cells: splitCells(line) };
+      if (last?.type === 'table') {
+        last.rows.push(row);
+      } else {
+        blocks.push({ type: 'table', rows: [row] });
+      }
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      blocks.push({ type: 'list', marker: `${item[1]}${item[2]} `, text: item[3].trim() });
+      continue;
+    }
+
+    // Indented lines continue a list item; other lines continue a paragraph
+    // unless it already ends a sentence
+    if (last?.type === 'list' && /^\s/.test(line)) {
+      last.text += ` ${line.trim()}`;
+    } else if (last?.type === 'paragraph' && !last.standalone && !SENTENCE_END.test(last.text) && !PLAIN_HEADING.test(line)) {
+      last.text += ` ${line.trim()}`;
+    } else {
+      blocks.push({ type: 'paragraph', text: line.trim(), standalone: PLAIN_HEADING.test(line) });
+    }
+  }
+
+  return blocks;
+}
+
+// Every piece of translatable text, with the section it appears under
+function textUnits(blocks) {
+  const units = [];
+  let section = null;
+
+  for (const block of blocks) {
+    if (block.type === 'table') {
+      for (const row of block.rows) {
+        for (const cell of row.cells || []) units.push({ target: cell, section });
+      }
+    } else if (block.type !== 'verbatim') {
+      units.push({ target: block, section: block.type === 'heading' ? null : section });
+      if (block.type === 'heading' || block.standalone) section = block.text;
+    }
+  }
+
+  return units;
+}
+
+export function withDocumentInstructions(systemPrompt, section) {
+  return `${systemPrompt}
+
+DOCUMENT MODE: The input is one part (a heading, list item, table cell or paragraph) of a written patient handout such as discharge instructions, not spoken dialogue. Translate it as clear written text for the patient to read at home. Keep Markdown emphasis such as **bold** and keep every number, dose, unit and time exactly. Output only the translation of this part, without adding numbering, bullets, headings or notes.${section ? `\n\nThis part is in the section "${section}".` : ''}`;
+}
+
+// Translates the blocks in place (setting `translation` on each heading,
+// list item, paragraph and table cell). Long text is split into segments of
+// at most segmentCharacters. translateText(text, section) must resolve to a
+// translator result; onProgress(done, total) follows the segments.
+// targetLanguage decides how the segments of a long part are joined again.
+export async function translateDocument(blocks, translateText, { targetLanguage, concurrency = 3, segmentCharacters = 1500, onProgress = () => {} } = {}) {
+  const jobs = [];
+  for (const unit of textUnits(blocks)) {
+    // Doses, times and other cells without words are kept as written
+    if (!/\p{L}/u.test(unit.target.text)) {
+      unit.target.translation = unit.target.text;
+      continue;
+    }
+    unit.parts = splitIntoSegments(unit.target.text, segmentCharacters);
+    unit.parts.forEach((text, index) => jobs.push({ unit, index, text }));
+  }
+
+  const providers = new Set();
+  const models = new Set();
+  const issues = [];
+  let cachedSegments = 0;
+  let done = 0;
+
+  await forEachWithConcurrency(jobs, concurrency, async (job) => {
+    const result = await translateText(job.text, job.unit.section);
+    job.unit.parts[job.index] = result.translation;
+
+    if (result.cached) {
+      cachedSegments += 1;
+    } else {
+      providers.add(result.provider);
+      models.add(result.model);
+    }
+    const { violations } = result.glossary;
+    const { unrestored } = result.deidentification;
+    const { warnings } = result;
+    if (violations.length > 0 || unrestored.length > 0 || warnings.length > 0) {
+      issues.push({ text: job.text, violations, unrestored, warnings });
+    }
+
+    done += 1;
+    onProgress(done, jobs.length);
+  });
+
+  // Chinese sentences follow each other directly; Latin-script ones need a space
+  const separator = getLanguage(targetLanguage)?.script === 'Latn' ? ' ' : '';
+  for (const { unit } of jobs) {
+    unit.target.translation = unit.parts.join(separator);
+  }
+
+  return {
+    segments: jobs.length,
+    cachedSegments,
+    providers: [...providers],
+    models: [...models],
+    issues
+  };
+}
+
+// Table cells can't hold line breaks or bare pipes
+const cellText = (text) => text.replace(/\s*\n\s*/g, ' ').replace(/(?<!\\)\|/g, '\\|');
+
+// The translated document with the original structure. Bilingual output
+// follows each heading, item and cell with the English in brackets, and each
+// paragraph with the English as a quote.
+export function renderMarkdown(blocks, { bilingual = false } = {}) {
+  const both = (unit) => bilingual && unit.translation !== unit.text
+    ? `${unit.translation} (${unit.text})`
+    : unit.translation;
+
+  return blocks.map((block, index) => {
+    switch (block.type) {
+      case 'heading':
+      case 'list':
+        return `${block.marker}${both(block)}`;
+      case 'table':
+        return block.rows
+          .map(row => row.separator ?? `| ${row.cells.map(cell => cellText(both(cell))).join(' | ')} |`)
+          .join('\n');
+      case 'paragraph':
+        if (!bilingual || block.standalone) return both(block);
+        // The quote needs a blank line after it, or the next line joins it
+        return `${block.translation}\n\n> ${block.text}${blocks[index + 1]?.text?.trim() === '' ? '' : '\n'}`;
+      default:
+        return block.text;
+    }
+  }).join('\n');
+}
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Bold and italic are the only inline Markdown handouts tend to use
+const inlineHtml = (text) => escapeHtml(text)
+  .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+  .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+  .replace(/\\\|/g, '|');
+
+const bilingualHtml = (unit) => unit.translation === unit.text
+  ? inlineHtml(unit.text)
+  : `${inlineHtml(unit.translation)}<span class="source">${inlineHtml(unit.text)}</span>`;
+
+// Printable bilingual handout: the patient's language first, English below
+export function renderDocumentHtml(blocks, { targetLanguage, generatedAt = new Date().toISOString() }) {
+  const content = blocks.filter(block => block.type !== 'verbatim' || block.text.trim()).map(block => {
+    switch (block.type) {
+      case 'heading': {
+        const level = block.marker.trim().length;
+        return `<h${level}>${bilingualHtml(block)}</h${level}>`;
+      }
+      case 'list': {
+        const indent = block.marker.length - block.marker.trimStart().length;
+        return `<div class="item" style="margin-left: ${1 + indent / 2}rem"><span class="marker">${escapeHtml(block.marker.trim())}</span><div>${bilingualHtml(block)}</div></div>`;
+      }
+      case 'table': {
+        const rows = block.rows
+          .filter(row => row.cells)
+          .map((row, index) => {
+            const tag = index === 0 && block.rows[1]?.separator ? 'th' : 'td';
+            return `<tr>${row.cells.map(cell => `<${tag}>${bilingualHtml(cell)}</${tag}>`).join('')}</tr>`;
+          });
+        return `<table>${rows.join('\n')}</table>`;
+      }
+      case 'paragraph':
+        return `<p${block.standalone ? ' class="label"' : ''}>${bilingualHtml(block)}</p>`;
+      default:
+        return RULE.test(block.text) ? '<hr>' : `<pre>${escapeHtml(block.text)}</pre>`;
+    }
+  }).join('\n  ');
+
+  const title = blocks.find(block => block.type === 'heading')?.translation || 'Patient Instructions';
+  const disclaimers = [ENGLISH_DISCLAIMER, getLanguage(targetLanguage)?.disclaimers.document]
+    .filter(Boolean)
+    .map(text => `<p>${escapeHtml(text)}</p>`)
+    .join('\n    ');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: 'Inter', 'PingFang SC', 'Microsoft YaHei', 'Noto Sans CJK SC', sans-serif; color: #1f2937; margin: 2rem; line-height: 1.5; }
+    h1 { font-size: 1.5rem; } h2 { font-size: 1.25rem; } h3, h4, h5, h6 { font-size: 1.05rem; }
+    .source { display: block; font-size: 0.8em; font-weight: normal; color: #6b7280; }
+    .item { display: flex; gap: 0.5rem; margin-bottom: 0.5rem; }
+    .marker { min-width: 1.5rem; font-weight: 600; }
+    .label { font-weight: 600; margin-bottom: 0.25rem; }
+    table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.4rem; vertical-align: top; text-align: left; }
+    th { background: #f3f4f6; }
+    .disclaimer { border: 1px solid #f59e0b; background: #fffbeb; padding: 0.5rem 1rem; margin: 1rem 0; font-size: 0.85rem; }
+    footer { margin-top: 1rem; font-size: 0.75rem; color: #6b7280; }
+    @media print { body { margin: 0; } tr, .item { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <div class="disclaimer">
+    ${disclaimers}
+  </div>
+  ${content}
+  <footer>${escapeHtml(languageLabel(targetLanguage))} · Generated ${escapeHtml(generatedAt)}</footer>
+</body>
+</html>
+`;
+}
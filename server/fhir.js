@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { renderTranscript } from './transcripts.js';
+import { getLanguage } from './languages/index.js';
+
+// FHIR R4 export of an interpretation session, for EHRs that ingest bundles:
+//   Patient           - preferred language in Patient.communication
+//   Communication     - one per turn, original + translation as attachments
+//   DocumentReference - the full bilingual transcript
+// Resources reference each other by urn:uuid so the bundle is self-contained
+// and can be POSTed as-is when requested as a transaction. Transactions are
+// conditional on identifiers, so exporting a session again doesn't duplicate
+// the patient (when an MRN is given) or the turns, and replaces the transcript.
+
+export const FHIR_BUNDLE_TYPES = ['collection', 'transaction'];
+
+const BCP47 = 'urn:ietf:bcp:47';
+const newUrn = () => `urn:uuid:${crypto.randomUUID()}`;
+const toBase64 = (text) => Buffer.from(text, 'utf8').toString('base64');
+
+// BCP-47 codes (the registry locale) as used in Patient.communication.language
+function languageConcept(language) {
+  const entry = getLanguage(language);
+  if (!entry) return { text: language };
+  return {
+    coding: [{ system: BCP47, code: entry.locale, display: entry.localeDisplay }],
+    text: entry.label
+  };
+}
+
+const languageCode = (language) => getLanguage(language)?.locale;
+
+// FHIR search on a token identifier: identifier=<system>|<value>
+const identifierQuery = ({ system, value }) => `identifier=${encodeURIComponent(system)}|${encodeURIComponent(value)}`;
+
+function patientResource(session, mrn) {
+  const profile = session.patientContext || {};
+  return {
+    resourceType: 'Patient',
+    ...(mrn && {
+      identifier: [{
+        type: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'MR' }]
+        },
+        system: process.env.FHIR_MRN_SYSTEM || 'urn:medi-translator:mrn',
+        value: mrn
+      }]
+    }),
+    ...(['male', 'female', 'other'].includes(profile.gender) && { gender: profile.gender }),
+    communication: [{
+      language: languageConcept(session.targetLanguage),
+      preferred: true
+    }]
+  };
+}
+
+function communicationResource(turn, patientUrn) {
+  const fromPatient = turn.speaker === 'patient';
+  const attachment = (text, language, title) => ({
+    contentType: 'text/plain; charset=utf-8',
+    ...(languageCode(language) && { language: languageCode(language) }),
+    data: toBase64(text),
+    title
+  });
+
+  return {
+    resourceType: 'Communication',
+    identifier: [{ system: 'urn:medi-translator:turn', value: turn.id }],
+    status: 'completed',
+    category: [{ text: 'Medical interpretation' }],
+    subject: { reference: patientUrn },
+    sent: turn.timestamp,
+    ...(fromPatient
+      ? { sender: { reference: patientUrn } }
+      : { recipient: [{ reference: patientUrn }] }),
+    payload: [
+      { contentAttachment: attachment(turn.originalText, turn.originalLanguage, `Original (${turn.speaker})`) },
+      { contentAttachment: attachment(turn.translatedText, turn.translatedLanguage, 'Machine translation') }
+    ],
+    note: [{
+      text: `${fromPatient ? 'Patient' : 'Doctor'} statement, machine-translated${turn.provider ? ` (${turn.provider})` : ''}. Not reviewed by a certified interpreter.`
+    }]
+  };
+}
+
+async function documentReferenceResource(session, patientUrn) {
+  const [text, html] = await Promise.all([
+    renderTranscript(session, 'txt'),
+    renderTranscript(session, 'html')
+  ]);
+
+  return {
+    resourceType: 'DocumentReference',
+    identifier: [{ system: 'urn:medi-translator:session', value: session.id }],
+    status: 'current',
+    docStatus: session.status === 'closed' ? 'final' : 'preliminary',
+    type: {
+      coding: [{ system: 'http://loinc.org', code: '34109-9', display: 'Note' }],
+      text: 'Medical interpretation transcript'
+    },
+    subject: { reference: patientUrn },
+    date: new Date().toISOString(),
+    description: `Bilingual English / ${getLanguage(session.targetLanguage)?.label || session.targetLanguage} interpretation transcript (machine translation)`,
+    content: [
+      { attachment: { contentType: text.contentType, data: toBase64(text.body), title: 'Transcript (plain text)' } },
+      { attachment: { contentType: html.contentType, data: toBase64(html.body), title: 'Transcript (HTML)' } }
+    ],
+    context: {
+      period: {
+        start: session.createdAt,
+        ...(session.closedAt && { end: session.closedAt })
+      }
+    }
+  };
+}
+
+// Patients without an MRN can't be matched, so they are always created.
+// Turns are created once; the transcript is replaced with the latest one.
+function transactionRequest(resource) {
+  const { resourceType } = resource;
+  const identifier = resource.identifier?.[0];
+  if (!identifier) return { method: 'POST', url: resourceType };
+  if (resourceType === 'DocumentReference') {
+    return { method: 'PUT', url: `${resourceType}?${identifierQuery(identifier)}` };
+  }
+  return { method: 'POST', url: resourceType, ifNoneExist: identifierQuery(identifier) };
+}
+
+export async function buildFhirBundle(session, { type = 'collection', mrn } = {}) {
+  const patientUrn = newUrn();
+
+  const resources = [
+    { fullUrl: patientUrn, resource: patientResource(session, mrn) },
+    ...session.turns.map(turn => ({ fullUrl: newUrn(), resource: communicationResource(turn, patientUrn) })),
+    { fullUrl: newUrn(), resource: await documentReferenceResource(session, patientUrn) }
+  ];
+
+  return {
+    resourceType: 'Bundle',
+    type,
+    timestamp: new Date().toISOString(),
+    entry: resources.map(entry => type === 'transaction'
+      ? { ...entry, request: transactionRequest(entry.resource) }
+      : entry)
+  };
+}
+
@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV reader/writer for glossary import and export
+
+const escapeCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Returns an array of objects keyed by the header row
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 BOM, which Excel adds to exported files
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map(values =>
+    Object.fromEntries(header.map((name, index) => [name, (values[index] ?? '').trim()]))
+  );
+}
@@ -0,0 +1,63 @@
+// Glossary enforcement for LLM translations: find approved terms in the
+// source, tell the model to use them, then check that it actually did.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// English terms match on word boundaries and tolerate simple plurals
+// ("allergy" also matches "allergies", "antibiotic" matches "antibiotics")
+function englishTermPattern(term) {
+  const escaped = escapeRegExp(term.trim());
+  const stem = /[^aeiou]y$/i.test(term) ? `${escaped.slice(0, -1)}(?:y|ies)` : `${escaped}(?:s|es)?`;
+  return new RegExp(`(?<![\\w-])${stem}(?![\\w-])`, 'i');
+}
+
+// Case only matters to scripts that have it: "Diabetes" at the start of a
+// Spanish sentence is still the approved "diabetes"
+const containsTerm = (text, term, isEnglish) =>
+  isEnglish ? englishTermPattern(term).test(text) : text.toLowerCase().includes(term.toLowerCase());
+
+export function glossaryPairFor(translationDirection, targetLanguage) {
+  return translationDirection === 'to_patient' ? `en-${targetLanguage}` : `${targetLanguage}-en`;
+}
+
+// Enforced entries whose source term appears in the text. When a longer term
+// contains a shorter one ("high blood pressure" / "blood pressure") only the
+// longer one is kept.
+export function findGlossaryMatches(glossary, text, pair) {
+  const sourceIsEnglish = pair.startsWith('en-');
+  const candidates = glossary.list({ pair, enforce: true })
+    .filter(entry => containsTerm(text, entry.source, sourceIsEnglish))
+    .sort((a, b) => b.source.length - a.source.length);
+
+  return candidates
+    .filter((entry, index) => !candidates.slice(0, index).some(longer =>
+      longer.source.toLowerCase().includes(entry.source.toLowerCase())))
+    .map(({ id, source, target, category }) => ({ id, source, target, category }));
+}
+
+// Matches whose approved target is missing from the translation
+export function findViolations(matches, translation, pair) {
+  const targetIsEnglish = pair.endsWith('-en');
+  return matches.filter(match => !containsTerm(translation, match.target, targetIsEnglish));
+}
+
+export function withTerminology(systemPrompt, matches) {
+  if (matches.length === 0) return systemPrompt;
+
+  const terms = matches.map(match => `- "${match.source}" => "${match.target}"`).join('\n');
+  return `${systemPrompt}
+
+APPROVED TERMINOLOGY (mandatory): The hospital glossary requires these exact renderings. Use the target term verbatim every time its source term appears:
+${terms}`;
+}
+
+export function withRepairRequest(systemPrompt, matches, previousTranslation, violations) {
+  const missing = violations.map(v => `- "${v.source}" must be translated as "${v.target}"`).join('\n');
+  return `${withTerminology(systemPrompt, matches)}
+
+CORRECTION: A previous draft of this translation was:
+"${previousTranslation}"
+It did not use the approved terminology:
+${missing}
+Produce the corrected translation of the input, using the approved terms verbatim and changing nothing else.`;
+}
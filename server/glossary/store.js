@@ -0,0 +1,289 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { toCsv } from './csv.js';
+import { LANGUAGE_IDS } from '../languages/index.js';
+
+// Medical glossary store. Entries live in a single JSON file so interpreters
+// can curate terminology through /api/glossary without touching code. Every
+// change bumps the store version, and each entry keeps its own revision.
+// Entries marked `enforce` are approved terms that LLM output must use.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SEED_FILE = path.join(__dirname, 'seed.json');
+
+// Language pairs are "<source>-<target>", one each way per patient language
+export const GLOSSARY_PAIRS = [
+  ...LANGUAGE_IDS.map(id => `en-${id}`),
+  ...LANGUAGE_IDS.map(id => `${id}-en`)
+];
+
+export const CSV_COLUMNS = ['id', 'pair', 'source', 'target', 'category', 'notes', 'enforce', 'revision', 'updatedAt'];
+
+const normalizeSource = (pair, source) =>
+  pair.startsWith('en-') ? source.trim().toLowerCase() : source.trim();
+
+// CSV cells arrive as strings; JSON may send real booleans
+const toBoolean = (value, fallback) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value !== 'string' || value.trim() === '') return fallback;
+  return ['true', '1', 'yes', 'y'].includes(value.trim().toLowerCase());
+};
+
+export function createGlossaryStore(filePath) {
+  let state = load();
+
+  function load() {
+    const seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+    const seedPairs = [...new Set(seed.entries.map(entry => entry.pair))];
+    const now = new Date().toISOString();
+    const fromSeed = (entry) => ({
+      id: crypto.randomUUID(),
+      pair: entry.pair,
+      source: entry.source,
+      target: entry.target,
+      category: entry.category || 'general',
+      notes: entry.notes || '',
+      enforce: entry.enforce ?? true,
+      revision: 1,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    if (fs.existsSync(filePath)) {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      // Pairs the seed gained after this store was created (a new language)
+      // are seeded once. Stores from before seededPairs count every pair
+      // they hold entries for as seeded.
+      const seeded = new Set(stored.seededPairs || stored.entries.map(entry => entry.pair));
+      const newPairs = seedPairs.filter(pair => !seeded.has(pair));
+      if (newPairs.length === 0 && stored.seededPairs) return stored;
+
+      const added = seed.entries.filter(entry => newPairs.includes(entry.pair)).map(fromSeed);
+      const next = {
+        ...stored,
+        ...(added.length > 0 && { version: stored.version + 1, updatedAt: now }),
+        seededPairs: [...new Set([...seeded, ...seedPairs])],
+        entries: [...stored.entries, ...added]
+      };
+      persist(next);
+      if (added.length > 0) {
+        console.log(`📚 Glossary seeded ${added.length} entries for ${newPairs.join(', ')}: ${filePath}`);
+      }
+      return next;
+    }
+
+    const seeded = {
+      version: 1,
+      updatedAt: now,
+      seededPairs: seedPairs,
+      entries: seed.entries.map(fromSeed)
+    };
+
+    persist(seeded);
+    console.log(`📚 Glossary seeded with ${seeded.entries.length} entries: ${filePath}`);
+    return seeded;
+  }
+
+  // Write-then-rename so a crash never leaves a half-written glossary
+  function persist(next) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(next, null, 2));
+    fs.renameSync(tmpFile, filePath);
+  }
+
+  function commit() {
+    state.version += 1;
+    state.updatedAt = new Date().toISOString();
+    persist(state);
+  }
+
+  function findBySource(pair, source) {
+    const key = normalizeSource(pair, source);
+    return state.entries.find(entry => entry.pair === pair && normalizeSource(pair, entry.source) === key) || null;
+  }
+
+  function list({ pair, category, q, enforce } = {}) {
+    const query = q ? q.trim().toLowerCase() : '';
+    return state.entries.filter(entry =>
+      (!pair || entry.pair === pair) &&
+      (!category || entry.category === category) &&
+      (enforce === undefined || entry.enforce === enforce) &&
+      (!query ||
+        entry.source.toLowerCase().includes(query) ||
+        entry.target.toLowerCase().includes(query) ||
+        entry.notes.toLowerCase().includes(query))
+    );
+  }
+
+  function get(id) {
+    return state.entries.find(entry => entry.id === id) || null;
+  }
+
+  function add({ pair, source, target, category = 'general', notes = '', enforce = true }) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      pair,
+      source: source.trim(),
+      target: target.trim(),
+      category: category.trim() || 'general',
+      notes: notes.trim(),
+      enforce: toBoolean(enforce, true),
+      revision: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+    state.entries.push(entry);
+    commit();
+    return entry;
+  }
+
+  function update(id, changes) {
+    const entry = get(id);
+    if (!entry) return null;
+
+    for (const field of ['pair', 'source', 'target', 'category', 'notes']) {
+      if (typeof changes[field] === 'string') {
+        entry[field] = changes[field].trim();
+      }
+    }
+    if (changes.enforce !== undefined) {
+      entry.enforce = toBoolean(changes.enforce, entry.enforce);
+    }
+    entry.revision += 1;
+    entry.updatedAt = new Date().toISOString();
+    commit();
+    return entry;
+  }
+
+  function remove(id) {
+    const index = state.entries.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+
+    const [removed] = state.entries.splice(index, 1);
+    commit();
+    return removed;
+  }
+
+  // Merge rows by pair + source. "replace" swaps out the pairs being
+  // imported, and only when every row is valid: one bad row leaves the
+  // glossary untouched and is reported instead.
+  function importEntries(rows, { mode = 'merge' } = {}) {
+    const result = { added: 0, updated: 0, skipped: 0, errors: [] };
+    const now = new Date().toISOString();
+
+    const problems = rows.map(validateEntry);
+    problems.forEach((problem, index) => {
+      if (problem) result.errors.push({ row: index + 1, error: problem });
+    });
+
+    if (mode === 'replace') {
+      if (result.errors.length > 0) {
+        result.skipped = rows.length;
+        return result;
+      }
+      const pairs = new Set(rows.map(row => row.pair));
+      state.entries = state.entries.filter(entry => !pairs.has(entry.pair));
+    }
+
+    rows.forEach((row, index) => {
+      if (problems[index]) {
+        result.skipped++;
+        return;
+      }
+
+      const existing = findBySource(row.pair, row.source);
+      if (existing) {
+        const enforce = toBoolean(row.enforce, existing.enforce);
+        if (existing.target === row.target.trim() &&
+            existing.category === (row.category || existing.category) &&
+            existing.notes === (row.notes ?? existing.notes) &&
+            existing.enforce === enforce) {
+          result.skipped++;
+          return;
+        }
+        existing.target = row.target.trim();
+        if (row.category) existing.category = row.category.trim();
+        if (typeof row.notes === 'string') existing.notes = row.notes.trim();
+        existing.enforce = enforce;
+        existing.revision += 1;
+        existing.updatedAt = now;
+        result.updated++;
+      } else {
+        state.entries.push({
+          id: crypto.randomUUID(),
+          pair: row.pair,
+          source: row.source.trim(),
+          target: row.target.trim(),
+          category: (row.category || 'general').trim(),
+          notes: (row.notes || '').trim(),
+          enforce: toBoolean(row.enforce, true),
+          revision: 1,
+          createdAt: now,
+          updatedAt: now
+        });
+        result.added++;
+      }
+    });
+
+    if (mode === 'replace' || result.added > 0 || result.updated > 0) {
+      commit();
+    }
+    return result;
+  }
+
+  function exportEntries({ pair, format = 'json' } = {}) {
+    const entries = list({ pair });
+    if (format === 'csv') {
+      return toCsv(entries, CSV_COLUMNS);
+    }
+    return {
+      version: state.version,
+      exportedAt: new Date().toISOString(),
+      entries
+    };
+  }
+
+  return {
+    get version() {
+      return state.version;
+    },
+    list,
+    get,
+    findBySource,
+    add,
+    update,
+    remove,
+    importEntries,
+    exportEntries
+  };
+}
+
+// Returns a problem description, or null when the entry is usable
+export function validateEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return 'Entry must be an object';
+  }
+  if (!GLOSSARY_PAIRS.includes(entry.pair)) {
+    return `pair must be one of: ${GLOSSARY_PAIRS.join(', ')}`;
+  }
+  if (typeof entry.source !== 'string' || !entry.source.trim()) {
+    return 'source is required';
+  }
+  if (typeof entry.target !== 'string' || !entry.target.trim()) {
+    return 'target is required';
+  }
+  if (entry.source.length > 500 || entry.target.length > 500) {
+    return 'source and target must be 500 characters or less';
+  }
+  if (entry.category !== undefined && typeof entry.category !== 'string') {
+    return 'category must be a string';
+  }
+  if (entry.notes !== undefined && typeof entry.notes !== 'string') {
+    return 'notes must be a string';
+  }
+  return null;
+}
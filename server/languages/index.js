@@ -0,0 +1,76 @@
+import mandarin from './mandarin.js';
+import mandarinTaiwan from './mandarin-tw.js';
+import cantonese from './cantonese.js';
+import vietnamese from './vietnamese.js';
+import spanish from './spanish.js';
+
+// Patient languages, keyed by the id clients send as targetLanguage. Adding a
+// language means adding a module here; everything that varies by language
+// is defined in it:
+//   label, nativeLabel, flag  - how the UI, handouts and transcripts name it
+//   locale, localeDisplay     - BCP 47 tag of the written language (FHIR, browser speech synthesis)
+//   asrLocale                 - speech recognition locale for the patient's turns
+//   script                    - ISO 15924 script of translations (Hans, Hant, Latn)
+//   defaultScript             - Chinese languages: the character set translations are
+//                               written in, until a session prefers another
+//                               (see chinese-script.js)
+//   readability               - how translations are scored (see readability.js)
+//   numberWords               - Latin-script languages: number words the
+//                               consistency check accepts for a digit
+//   romanization              - Chinese languages: reading shown under translations
+//                               (pinyin or jyutping, see romanization.js)
+//   tts                       - Google Cloud TTS language code and voices, best first
+//   prompts                   - doctor and patient prompts, and back-translation
+//                               prompts keyed by the direction of the back-translation
+//   elderlyGuidance, pronouns - patient-context guidance for older patients, and
+//                               third-person pronouns by gender
+//   transcriptTitle           - heading under the English one on transcripts
+//   disclaimers               - machine translation notice on handouts and transcripts
+//   untranslatedNote          - demo dictionary marker for text it has no phrase for
+//   similarLanguages          - other glossaries the demo dictionary searches for patient replies
+//
+// Translation directions are 'to_patient' (English into the patient's
+// language) and 'to_english' (the patient's language into English).
+
+export const LANGUAGES = Object.fromEntries(
+  [mandarin, mandarinTaiwan, cantonese, vietnamese, spanish].map(language => [language.id, language])
+);
+
+export const LANGUAGE_IDS = Object.keys(LANGUAGES);
+export const DEFAULT_LANGUAGE = 'mandarin';
+
+// The doctor's side, as recorded on session turns
+export const ENGLISH = {
+  id: 'English',
+  label: 'English',
+  locale: 'en',
+  localeDisplay: 'English',
+  asrLocale: 'en-US',
+  script: 'Latn',
+  readability: 'flesch'
+};
+
+export const isSupportedLanguage = (id) => Object.hasOwn(LANGUAGES, id);
+
+// Patient language or English, or undefined for an unknown id
+export const getLanguage = (id) => id === ENGLISH.id ? ENGLISH : LANGUAGES[id];
+
+// "Mandarin (普通话)", or the id itself for languages no longer registered
+export function languageLabel(id) {
+  const language = getLanguage(id);
+  if (!language) return id;
+  return language.nativeLabel ? `${language.label} (${language.nativeLabel})` : language.label;
+}
+
+// What clients need to offer and speak a language; prompts stay on the server
+export const publicLanguages = () => Object.values(LANGUAGES).map(language => ({
+  id: language.id,
+  label: language.label,
+  nativeLabel: language.nativeLabel,
+  flag: language.flag,
+  locale: language.locale,
+  asrLocale: language.asrLocale,
+  script: language.script,
+  defaultScript: language.defaultScript || null,
+  romanization: language.romanization || null
+}));
@@ -0,0 +1,98 @@
+// Spanish as spoken by Latin American patients in the US
+
+export default {
+  id: 'spanish',
+  label: 'Spanish',
+  nativeLabel: 'Español',
+  flag: '🇲🇽',
+  locale: 'es-US',
+  localeDisplay: 'Spanish (United States)',
+  asrLocale: 'es-US',
+  script: 'Latn',
+  readability: 'fernandez-huerta',
+  numberWords: {
+    un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10,
+    once: 11, doce: 12, quince: 15, veinte: 20, treinta: 30, media: 0.5, medio: 0.5
+  },
+
+  tts: {
+    languageCode: 'es-US',
+    voiceOptions: [
+      { name: 'es-US-Neural2-A', type: 'Neural2' },
+      { name: 'es-US-Wavenet-A', type: 'Wavenet' },
+      { name: 'es-US-Standard-A', type: 'Standard' },
+      { name: null, type: 'Basic' }
+    ]
+  },
+
+  prompts: {
+    doctor: `You are an expert medical interpreter specializing in doctor-patient communication. Your role is to translate what a doctor says in English into natural, clear Spanish that Latin American patients can easily understand.
+
+CONTEXT: The input will be dialogue from a doctor speaking to a Spanish-speaking patient. Your translation should:
+
+1. ACCURACY: Maintain all medical information precisely - no omissions or additions
+2. CLARITY: Use simple, everyday Spanish that patients of all education levels can understand
+3. NEUTRAL SPANISH: Prefer vocabulary understood across Latin America and avoid regionalisms and anglicisms
+4. NATURAL TONE: Sound like how a Spanish-speaking doctor would naturally speak to a patient
+5. RESPECTFUL: Address the patient as "usted", with appropriate politeness for healthcare settings
+
+MEDICAL TERMINOLOGY:
+- Use commonly understood Spanish medical terms
+- When technical terms are necessary, include simple explanations
+- Give drug names in their Spanish form, e.g. amoxicilina, ibuprofeno
+- Keep every number, dose, unit and time exactly as said
+
+OUTPUT FORMAT: Spanish only, no explanations or notes.
+
+Examples of good Spanish translations:
+Doctor: "Take this medication twice daily with food."
+Translation: "Tome este medicamento dos veces al día con comida."
+
+Doctor: "You have a mild fever, please rest and drink plenty of fluids."
+Translation: "Tiene un poco de fiebre. Por favor descanse y tome muchos líquidos."`,
+
+    patient: `You are an expert medical interpreter specializing in doctor-patient communication. Your role is to translate what a patient says in Spanish into clear, accurate English for the treating doctor.
+
+CONTEXT: The input will be a Spanish-speaking patient describing symptoms, history or answering the doctor's questions. Your translation should:
+
+1. ACCURACY: Preserve every symptom, body location, duration, frequency, severity and number exactly - no omissions or additions
+2. FIDELITY: Keep the patient's own uncertainty and hedging ("maybe", "a little", "on and off") rather than making it sound more definite
+3. COLLOQUIAL TERMS: Render folk and regional descriptions (empacho, susto, me da un dolor, la presión alta) by their clinical meaning in plain English
+4. FIRST PERSON: Translate in the patient's voice ("I have...", "It hurts...") so the doctor hears the patient directly
+5. NO DIAGNOSIS: Never interpret symptoms, suggest causes or add medical advice
+
+MEDICAL TERMINOLOGY:
+- Use standard English clinical vocabulary the doctor would chart with
+- If a phrase is ambiguous, choose the most literal faithful rendering
+
+OUTPUT FORMAT: English only, no explanations, notes or the original Spanish.
+
+Examples of good translations:
+Patient: "Siento el pecho apretado y en la noche no puedo respirar bien cuando me acuesto."
+Translation: "My chest feels tight, and at night I can't breathe well when I lie down."
+
+Patient: "Me duele el estómago a ratos, ya van dos días."
+Translation: "My stomach hurts on and off. It's been two days."`,
+
+    backTranslation: {
+      to_english: `You are verifying a medical translation. Translate the following Spanish text back into English as literally as possible. Do not correct, improve, complete or explain it - if something is missing, vague or wrong in the Spanish, your English must be missing, vague or wrong in the same way.
+
+OUTPUT FORMAT: English only, no explanations or notes.`,
+      to_patient: `You are verifying a medical translation. Translate the following English text back into Spanish as literally as possible. Do not correct, improve, complete or explain it - if something is missing, vague or wrong in the English, your Spanish must be missing, vague or wrong in the same way.
+
+OUTPUT FORMAT: Spanish only, no explanations or notes.`
+    }
+  },
+
+  elderlyGuidance: 'The patient is elderly. Address them respectfully as "usted" (and "señor"/"señora" where natural), in a gentle, unhurried tone suitable for an older adult.',
+  pronouns: { male: 'él', female: 'ella' },
+
+  transcriptTitle: 'Transcripción de interpretación médica',
+  disclaimers: {
+    document: 'Este documento fue traducido por traducción automática (inteligencia artificial) y no ha sido revisado por un intérprete médico certificado. Puede contener errores. Confirme la información importante, en especial las instrucciones de medicamentos y dosis, con su equipo de atención médica.',
+    transcript: 'Esta transcripción fue producida por traducción automática (inteligencia artificial) y no ha sido revisada por un intérprete médico certificado. Puede contener errores. Confirme la información importante, en especial las instrucciones de medicamentos y dosis, con su equipo de atención médica.'
+  },
+
+  untranslatedNote: ' (se necesita una traducción más completa)',
+  similarLanguages: []
+};
@@ -0,0 +1,95 @@
+import { getLanguage } from './languages/index.js';
+
+// Patient profile sent with /api/translate. It lets the model pick the right
+// pronouns, address elderly patients respectfully, phrase things for a child
+// (or their caregiver) and keep the patient's own medication names.
+
+const MAX_LIST_ITEMS = 20;
+const MAX_ITEM_LENGTH = 100;
+
+const ELDERLY_AGE = 65;
+const PEDIATRIC_AGE = 13;
+
+const GENDERS = ['male', 'female', 'other'];
+
+const cleanText = (value, maxLength) =>
+  typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+
+// Accepts an array or a comma/newline separated string
+const cleanList = (value) => {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,，、\n]/) : [];
+  return items
+    .map(item => cleanText(item, MAX_ITEM_LENGTH))
+    .filter(Boolean)
+    .slice(0, MAX_LIST_ITEMS);
+};
+
+// Returns a tidy profile, or null when nothing useful was provided
+export function normalizePatientContext(context) {
+  if (!context || typeof context !== 'object') return null;
+
+  const age = Number.parseInt(context.age, 10);
+  const profile = {
+    age: Number.isInteger(age) && age >= 0 && age <= 130 ? age : null,
+    gender: GENDERS.includes(context.gender) ? context.gender : '',
+    conditions: cleanList(context.conditions),
+    medications: cleanList(context.medications),
+    visitReason: cleanText(context.visitReason, 200)
+  };
+
+  const isEmpty = profile.age === null && !profile.gender &&
+    profile.conditions.length === 0 && profile.medications.length === 0 && !profile.visitReason;
+
+  return isEmpty ? null : profile;
+}
+
+function guidanceFor(profile, translationDirection, targetLanguage) {
+  const guidance = [];
+  const toPatient = translationDirection === 'to_patient';
+
+  if (profile.age !== null && profile.age >= ELDERLY_AGE && toPatient) {
+    guidance.push(getLanguage(targetLanguage).elderlyGuidance);
+  }
+
+  if (profile.age !== null && profile.age < PEDIATRIC_AGE) {
+    guidance.push(toPatient
+      ? 'The patient is a child. Use short, simple, reassuring words a child can follow. Dosing, medication and care instructions are for the parent or caregiver, so phrase those for the adult.'
+      : 'The patient is a child; the speaker may be the child or a parent answering for them. Keep whose symptoms are being described clear in the English.');
+  }
+
+  if (profile.gender === 'male' || profile.gender === 'female') {
+    const pronouns = toPatient
+      ? getLanguage(targetLanguage).pronouns[profile.gender]
+      : (profile.gender === 'male' ? 'he/him' : 'she/her');
+    guidance.push(`The patient is ${profile.gender}. When the patient is referred to in the third person, use ${pronouns}.`);
+  }
+
+  if (profile.medications.length > 0) {
+    guidance.push(toPatient
+      ? 'When the patient\'s known medications are mentioned, keep the drug name recognisable: use the name commonly used in the patient\'s language and keep the original name in brackets the first time it appears.'
+      : 'When the patient mentions one of their known medications (possibly by a translated or brand name), render it with the name from the profile.');
+  }
+
+  return guidance;
+}
+
+export function withPatientContext(systemPrompt, profile, translationDirection, targetLanguage) {
+  if (!profile) return systemPrompt;
+
+  const facts = [
+    profile.age !== null && `- Age: ${profile.age}`,
+    profile.gender && `- Gender: ${profile.gender}`,
+    profile.conditions.length > 0 && `- Known conditions: ${profile.conditions.join(', ')}`,
+    profile.medications.length > 0 && `- Current medications: ${profile.medications.join(', ')}`,
+    profile.visitReason && `- Reason for visit: ${profile.visitReason}`
+  ].filter(Boolean).join('\n');
+
+  const guidance = guidanceFor(profile, translationDirection, targetLanguage)
+    .map(line => `- ${line}`)
+    .join('\n');
+
+  return `${systemPrompt}
+
+PATIENT PROFILE (background only - never translate, repeat or mention it):
+${facts}${guidance ? `\n\nPROFILE GUIDANCE:\n${guidance}` : ''}`;
+}
@@ -0,0 +1,156 @@
+// De-identification of text before it is sent to a translation provider.
+// Names, dates of birth, record numbers, phone numbers and addresses are
+// swapped for placeholders like [NAME_1]; the model is told to copy them
+// through untouched and the real values are put back in its output.
+//
+// Detection is pattern based (English and Chinese), so it errs towards the
+// common ways these details come up in a consultation rather than catching
+// every possible form.
+
+const SURNAMES = '陈陳李张張黄黃王刘劉林何吴吳梁郭周杨楊赵趙徐孙孫马馬朱胡高罗羅郑鄭谢謝宋唐许許邓鄧冯馮韩韓曹曾彭萧蕭蔡潘田董袁余叶葉蒋蔣杜苏蘇魏程吕呂丁沈任姚卢盧傅钟鍾姜崔谭譚陆陸汪范金石廖贾賈夏韦韋方白邹鄒孟熊秦邱江尹薛严嚴莫孔汤湯麦麥欧歐区區岑温溫侯龙龍雷黎';
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+const CAPITALIZED_NAME = "[A-Z][a-z'-]+(?:\\s+[A-Z][a-z'-]+){0,2}";
+
+// Checked in order; a later rule never overlaps text an earlier one masked.
+// When a rule has a `value` group only that part is masked, so titles and
+// labels ("Mr.", "MRN") stay in the text for the model to translate.
+const RULES = [
+  { type: 'mrn', pattern: /\b(?:MRN|medical record (?:number|no\.?)|hospital (?:number|no\.?)|patient (?:ID|number|no\.?))\s*(?:is|:|#)?\s*#?\s*(?<value>(?=[A-Z-]*\d)[A-Z0-9-]{4,})/gi },
+  { type: 'mrn', pattern: /(?:病歷號碼?|病历号码?|病人編號|病人编号|住院號碼?|住院号码?)\s*(?:是|係|：|:)?\s*(?<value>(?=[A-Z-]*\d)[A-Z0-9-]{4,})/gi },
+  { type: 'id', pattern: /\b[A-Z]{1,2}\d{6}\s?\([0-9A]\)|\b[A-Z]{1,2}\d{6}[0-9A]\b/g },
+  { type: 'id', pattern: /(?<!\d)\d{17}[\dXx](?![\d\w])/g },
+  { type: 'date', pattern: /\b\d{4}-\d{1,2}-\d{1,2}\b|\b\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})\b/g },
+  { type: 'date', pattern: new RegExp(`\\b(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b|\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})\\.?,?\\s+\\d{4}\\b`, 'gi') },
+  { type: 'date', pattern: /\d{4}\s*年\s*\d{1,2}\s*月\s*\d{1,2}\s*[日號号]/g },
+  { type: 'phone', pattern: /(?<!\d)(?:\+?86[\s-]?)?1[3-9]\d[\s-]?\d{4}[\s-]?\d{4}(?!\d)/g },
+  { type: 'phone', pattern: /(?<![\w/.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{3}[\s.-])?\d{3,4}[\s.-]?\d{4}(?![\w/-]|\.\d)/g },
+  { type: 'address', pattern: /\b\d{1,5}[A-Z]?\s+(?:[A-Z][a-z]+\s+){1,4}(?:Street|St|Road|Rd|Avenue|Ave|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Crescent|Highway|Hwy)\b\.?(?:,?\s+(?:Apt|Apartment|Unit|Flat|Suite|Room)\.?\s*#?\w+)?/g },
+  { type: 'address', pattern: /(?:住在|住喺|地址(?:是|係)?\s*[：:]?)\s*(?<value>[\u4e00-\u9fffA-Za-z0-9 ]{2,30}?[號号](?:\s*\d{1,3}\s*[樓楼层層])?(?:\s*[A-Z\d]{1,4}\s*室)?)/g },
+  { type: 'name', pattern: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mx|Mdm|Madam|Dr)\\.?\\s+(?<value>${CAPITALIZED_NAME})`, 'g') },
+  { type: 'name', pattern: new RegExp(`(?:\\b[Mm]y name(?: is|'s)|\\b[Nn]ame is|\\b[Cc]all me|\\b[Nn]amed|\\b[Nn]ame:)\\s+(?<value>${CAPITALIZED_NAME})`, 'g') },
+  { type: 'name', pattern: /(?:我叫|我姓|我的名字(?:是|叫)|我個名叫|名字係|叫做)\s*(?<value>[\u4e00-\u9fff]{1,3}?)(?=[，,。.！!？?\s]|今年|$)/g },
+  { type: 'name', pattern: new RegExp(`(?<value>[${SURNAMES}][\\u4e00-\\u9fff]{0,2}?)(?=先生|小姐|太太|女士|醫生|医生|姑娘|伯伯|婆婆)`, 'g') }
+];
+
+// Dates are only reported as a date of birth when the text says so
+const BIRTH_CONTEXT_BEFORE = /(?:born|birth|\bDOB\b|d\.o\.b|birthday|出生|生日)[^.。\n]{0,25}$/i;
+const BIRTH_CONTEXT_AFTER = /^\s*(?:出生|生)/;
+
+// Brackets a placeholder may come back in. The restore pattern and the
+// stream restorer's held-back text are both built from these.
+const OPEN_BRACKETS = ['[', '【', '［'];
+const CLOSE_BRACKETS = [']', '】', '］'];
+const bracketClass = (brackets) => `[${brackets.map(bracket => bracket.replace(/[\[\]]/, '\\$&')).join('')}]`;
+const PLACEHOLDER_PATTERN = new RegExp(
+  `${bracketClass(OPEN_BRACKETS)}\\s*(NAME|DOB|DATE|MRN|ID|PHONE|ADDRESS)\\s*[_＿]\\s*(\\d+)\\s*${bracketClass(CLOSE_BRACKETS)}`,
+  'gi'
+);
+
+// Non-overlapping { type, start, end, value } spans, in text order
+export function detectPhi(text) {
+  const spans = [];
+  const overlaps = (start, end) => spans.some(span => start < span.end && end > span.start);
+
+  for (const rule of RULES) {
+    const pattern = new RegExp(rule.pattern.source, `${rule.pattern.flags}d`);
+    for (const match of text.matchAll(pattern)) {
+      const [start, end] = match.indices.groups?.value || match.indices[0];
+      const value = text.slice(start, end).trim();
+      if (!value || overlaps(start, end)) continue;
+
+      const isBirthDate = rule.type === 'date' &&
+        (BIRTH_CONTEXT_BEFORE.test(text.slice(Math.max(0, start - 40), start)) || BIRTH_CONTEXT_AFTER.test(text.slice(end)));
+      const type = isBirthDate ? 'dob' : rule.type;
+      spans.push({ type, start, end: start + value.length, value });
+    }
+  }
+
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+// One masker per request, so the same value gets the same placeholder in the
+// new text and in the conversation history sent alongside it
+export function createPhiMasker() {
+  const placeholders = new Map();
+  const values = new Map();
+  const counters = {};
+
+  function placeholderFor(type, value) {
+    const key = `${type}:${value.toLowerCase()}`;
+    if (!placeholders.has(key)) {
+      const label = type.toUpperCase();
+      counters[label] = (counters[label] || 0) + 1;
+      const placeholder = `[${label}_${counters[label]}]`;
+      placeholders.set(key, placeholder);
+      values.set(placeholder, value);
+    }
+    return placeholders.get(key);
+  }
+
+  // Returns the masked text and the spans that were replaced (offsets are
+  // into the original text)
+  function mask(text) {
+    if (!text) return { text, spans: [] };
+
+    let masked = '';
+    let cursor = 0;
+    const spans = detectPhi(text).map(span => {
+      const placeholder = placeholderFor(span.type, span.value);
+      masked += text.slice(cursor, span.start) + placeholder;
+      cursor = span.end;
+      return { ...span, placeholder };
+    });
+
+    return { text: masked + text.slice(cursor), spans };
+  }
+
+  // Puts the original values back. Tolerates the full-width brackets and
+  // lower-casing models sometimes apply to the placeholders.
+  function restore(text) {
+    const restored = new Set();
+    const result = text.replace(PLACEHOLDER_PATTERN, (match, label, number) => {
+      const placeholder = `[${label.toUpperCase()}_${number}]`;
+      if (!values.has(placeholder)) return match;
+      restored.add(placeholder);
+      return values.get(placeholder);
+    });
+    return { text: result, restored };
+  }
+
+  return { mask, restore, get size() { return values.size; } };
+}
+
+// Restores placeholders in streamed output. A placeholder can be split
+// across chunks, so text from an unclosed bracket onwards is held back until
+// the bracket closes; push() returns only the text that is newly ready.
+export function createStreamRestorer(masker) {
+  let received = '';
+  let sent = '';
+
+  function push(delta) {
+    received += delta;
+    const lastOf = (brackets) => Math.max(...brackets.map(bracket => received.lastIndexOf(bracket)));
+    const open = lastOf(OPEN_BRACKETS);
+    const close = lastOf(CLOSE_BRACKETS);
+    const ready = open > close ? received.slice(0, open) : received;
+    const restored = masker ? masker.restore(ready).text : ready;
+    if (!restored.startsWith(sent)) return '';
+
+    const fresh = restored.slice(sent.length);
+    sent = restored;
+    return fresh;
+  }
+
+  function reset() {
+    received = '';
+    sent = '';
+  }
+
+  return { push, reset };
+}
+
+export function withPlaceholderInstructions(systemPrompt) {
+  return `${systemPrompt}
+
+PLACEHOLDERS: Tokens such as [NAME_1], [DOB_1], [PHONE_1] or [ADDRESS_1] stand for personal details removed for privacy. Copy every token exactly as written (same brackets, letters and number) into the position where it belongs in the translation, for example "Mr. [NAME_1]" becomes "[NAME_1]先生" and "[NAME_1]先生" becomes "Mr. [NAME_1]". Never translate, explain, drop or invent placeholder tokens.`;
+}
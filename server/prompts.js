@@ -0,0 +1,43 @@
+import { getLanguage } from './languages/index.js';
+
+// System prompts for the medical interpreter, by translation direction and
+// patient language. The prompts themselves live in the language registry
+// (server/languages/); providers receive the resolved prompt as-is.
+
+export const READING_LEVELS = ['basic', 'standard', 'clinical'];
+export const DEFAULT_READING_LEVEL = 'standard';
+
+// How much medical jargon reaches the patient. The doctor prompts already
+// ask for simple explanations of necessary technical terms, which is
+// 'standard'; the other levels move that line either way.
+const READING_LEVEL_GUIDANCE = {
+  basic: `READING LEVEL - BASIC: The patient may have little schooling or low health literacy.
+- Use short sentences with one idea each and the most common everyday words
+- Replace medical terms with plain descriptions (e.g. "high blood pressure" rather than "hypertension"); if a term must stay, explain it right after in everyday words
+- Say what to do and when in concrete terms
+- Never drop or soften any medical information, number, dose or warning to make it simpler`,
+  clinical: `READING LEVEL - CLINICAL: The listener has medical training (e.g. a physician relative of the patient).
+- Use precise medical terminology in the target language, as a clinician would write it
+- Do not add lay explanations or paraphrase technical terms; this overrides the request above to explain them
+- Keep the doctor's exact level of detail and certainty`
+};
+
+export function getSystemPrompt(translationDirection, targetLanguage) {
+  const { prompts } = getLanguage(targetLanguage);
+  // Patient replies go the other way: patient language in, clinical English out
+  return translationDirection === 'to_patient' ? prompts.doctor : prompts.patient;
+}
+
+// Back-translation must be literal: its only job is to expose what the
+// first translation actually says, so it must not smooth over mistakes.
+// backDirection is the direction of the back-translation itself.
+export function getBackTranslationPrompt(backDirection, targetLanguage) {
+  return getLanguage(targetLanguage).prompts.backTranslation[backDirection];
+}
+
+// Patient replies are read by the doctor, so the level only shapes
+// translations into the patient's language
+export function withReadingLevel(systemPrompt, readingLevel, translationDirection) {
+  const guidance = translationDirection === 'to_patient' && READING_LEVEL_GUIDANCE[readingLevel];
+  return guidance ? `${systemPrompt}\n\n${guidance}` : systemPrompt;
+}
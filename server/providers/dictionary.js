@@ -0,0 +1,112 @@
+import { getLanguage } from '../languages/index.js';
+import { normalizeScript } from '../chinese-script.js';
+
+// Phrase dictionary provider - the original demo-mode translator, now backed
+// by the managed glossary. Needs no network or credentials, so it is always
+// safe as the last link in a chain.
+
+// Sort by length (longest first) to prioritize longer matches
+const byLongestSource = (entries) =>
+  entries.map(entry => [entry.source, entry.target]).sort(([a], [b]) => b.length - a.length);
+
+// Exact match against the targets of the opposite pair, so dictionary output
+// can be looked up again (used by back-translation verification)
+const reverseLookup = (glossary, pair, text) => {
+  const key = text.trim().toLowerCase();
+  return glossary.list({ pair }).find(entry => entry.target.toLowerCase() === key)?.source;
+};
+
+function translateFromEnglish(glossary, text, targetLanguage) {
+  // Try exact match first
+  const lowerText = text.toLowerCase().trim();
+  let translation = glossary.findBySource(`en-${targetLanguage}`, lowerText)?.target
+    || reverseLookup(glossary, `${targetLanguage}-en`, text);
+
+  // Try partial matches with word boundaries to avoid false matches
+  if (!translation) {
+    const sortedPhrases = byLongestSource(glossary.list({ pair: `en-${targetLanguage}` }));
+
+    for (const [englishPhrase, targetPhrase] of sortedPhrases) {
+      // Use word boundaries to avoid partial word matches like "hi" in "this"
+      const regex = new RegExp(`\\b${englishPhrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+      if (regex.test(lowerText)) {
+        translation = targetPhrase;
+        console.log(`Matched phrase: "${englishPhrase}" in "${lowerText}"`);
+        break;
+      }
+    }
+  }
+
+  // Fallback translation without demo mode prefix
+  if (!translation) {
+    console.log(`No match found for: "${lowerText}"`);
+    translation = `${text}${getLanguage(targetLanguage).untranslatedNote}`;
+  }
+
+  return translation;
+}
+
+// Latin-script phrases are stored in lower case and only match whole words,
+// so "asma" isn't found in "plasma"
+const containsPhrase = (input, phrase, latin) => latin
+  ? new RegExp(`(?<!\\p{L})${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\p{L})`, 'u').test(input)
+  : input.includes(phrase);
+
+function translateToEnglish(glossary, text, targetLanguage) {
+  // Patients mix Mandarin and Cantonese, so search the selected language
+  // first, then the similar ones. They also type in whichever script they
+  // read, so the text is matched in the script each glossary is written in.
+  const pairs = [targetLanguage, ...getLanguage(targetLanguage).similarLanguages].map(id => {
+    const language = getLanguage(id);
+    const latin = language.script === 'Latn';
+    return {
+      pair: `${id}-en`,
+      latin,
+      input: latin ? text.toLowerCase().trim() : normalizeScript(text, language.defaultScript)
+    };
+  });
+
+  // Try exact match first
+  let translation = pairs
+    .map(({ pair, input }) => glossary.findBySource(pair, input)?.target)
+    .find(Boolean)
+    || reverseLookup(glossary, `en-${targetLanguage}`, pairs[0].input);
+
+  // Try partial matches sorted by length
+  if (!translation) {
+    for (const { pair, input, latin } of pairs) {
+      const sortedPhrases = byLongestSource(glossary.list({ pair }));
+      const match = sortedPhrases.find(([phrase]) => containsPhrase(input, phrase, latin));
+      if (match) {
+        translation = match[1];
+        console.log(`Matched phrase: "${match[0]}" in "${text}" (${pair})`);
+        break;
+      }
+    }
+  }
+
+  // Fallback translation into English
+  if (!translation) {
+    console.log(`No ${targetLanguage} match found for: "${text}"`);
+    translation = `"${text}" (Please provide proper English translation)`;
+  }
+
+  return translation;
+}
+
+export function createDictionaryProvider(glossary) {
+  return {
+    name: 'dictionary',
+    model: 'phrase-dictionary',
+
+    async translate({ text, translationDirection, targetLanguage }) {
+      const translation = translationDirection === 'to_patient'
+        ? translateFromEnglish(glossary, text, targetLanguage)
+        : translateToEnglish(glossary, text, targetLanguage);
+
+      return { translation, usage: null };
+    },
+
+    async verify() {}
+  };
+}
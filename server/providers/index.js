@@ -0,0 +1,90 @@
+import { createOpenAIProvider } from './openai.js';
+import { createDictionaryProvider } from './dictionary.js';
+
+// Translation providers all expose the same shape:
+//   name, model
+//   translate({ text, systemPrompt, translationDirection, targetLanguage, onToken })
+//     -> { translation, usage }
+//     Providers that can stream pass text to onToken as it arrives; the
+//     others just resolve with the whole translation.
+//   verify() -> resolves once the backend is reachable
+//
+// TRANSLATION_PROVIDERS lists them in fallback order, e.g. "local,dictionary".
+
+export const PROVIDER_NAMES = ['openai', 'local', 'dictionary'];
+
+function createProvider(name, env, glossary) {
+  switch (name) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY || env.OPENAI_API_KEY === 'your_openai_api_key_here') {
+        console.log('⚠️ Skipping openai provider: OPENAI_API_KEY is not set');
+        return null;
+      }
+      return createOpenAIProvider({
+        name: 'openai',
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || 'gpt-4'
+      });
+
+    case 'local':
+      if (!env.LOCAL_LLM_BASE_URL) {
+        console.log('⚠️ Skipping local provider: LOCAL_LLM_BASE_URL is not set');
+        return null;
+      }
+      return createOpenAIProvider({
+        name: 'local',
+        // Most self-hosted servers ignore the key, but the client requires one
+        apiKey: env.LOCAL_LLM_API_KEY || 'not-needed',
+        baseURL: env.LOCAL_LLM_BASE_URL,
+        model: env.LOCAL_LLM_MODEL || 'local-model'
+      });
+
+    case 'dictionary':
+      return createDictionaryProvider(glossary);
+
+    default:
+      console.log(`⚠️ Unknown translation provider "${name}" ignored. Known: ${PROVIDER_NAMES.join(', ')}`);
+      return null;
+  }
+}
+
+export function buildProviderChain(env, { demoMode, glossary }) {
+  const configured = env.TRANSLATION_PROVIDERS
+    ? env.TRANSLATION_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : [demoMode ? 'dictionary' : 'openai'];
+
+  const chain = configured
+    .map(name => createProvider(name, env, glossary))
+    .filter(Boolean);
+
+  // Never leave the server without a translator
+  if (chain.length === 0) {
+    console.log('⚠️ No usable translation provider configured, falling back to dictionary');
+    chain.push(createDictionaryProvider(glossary));
+  }
+
+  return chain;
+}
+
+// Try each provider in order; the first successful result wins. onReset is
+// called when a provider fails, so streamed text from it can be discarded.
+export async function translateWithProviders(chain, request) {
+  let lastError = null;
+
+  for (const provider of chain) {
+    try {
+      const result = await provider.translate(request);
+      return {
+        ...result,
+        provider: provider.name,
+        model: provider.model
+      };
+    } catch (error) {
+      console.log(`${provider.name} provider failed, trying next option:`, error.message);
+      request.onReset?.();
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('All translation providers failed');
+}
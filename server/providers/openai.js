@@ -0,0 +1,73 @@
+import OpenAI from 'openai';
+
+// Chat-completions provider. Used both for api.openai.com and for any
+// OpenAI-compatible server (vLLM, Ollama, LM Studio, an on-prem gateway)
+// by passing a baseURL.
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model = 'gpt-4' }) {
+  const client = new OpenAI({
+    apiKey,
+    ...(baseURL && { baseURL }),
+  });
+
+  return {
+    name,
+    model,
+    client,
+
+    // With `onToken`, the completion is streamed and each piece of text is
+    // passed on as it arrives; the resolved result is the same either way
+    async translate({ text, systemPrompt, onToken }) {
+      const request = {
+        model,
+        messages: [
+          {
+            role: 'system',
+            content: systemPrompt
+          },
+          {
+            role: 'user',
+            content: text
+          }
+        ],
+        temperature: 0.3, // Lower temperature for more consistent medical translations
+        max_tokens: 1000,
+      };
+
+      let content;
+      let usage = null;
+      if (onToken) {
+        const stream = await client.chat.completions.create({
+          ...request,
+          stream: true,
+          stream_options: { include_usage: true }
+        });
+        content = '';
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+          usage = chunk.usage || usage;
+        }
+      } else {
+        const completion = await client.chat.completions.create(request);
+        content = completion.choices?.[0]?.message?.content;
+        usage = completion.usage || null;
+      }
+
+      if (!content || !content.trim()) {
+        throw new Error(`Empty response from ${name} provider`);
+      }
+
+      return {
+        translation: content.trim(),
+        usage
+      };
+    },
+
+    async verify() {
+      await client.models.list();
+    }
+  };
+}
@@ -0,0 +1,108 @@
+import { getLanguage } from './languages/index.js';
+
+// Readability scores for a translation and the English side of it, so a
+// clinician can see whether what the patient hears is as plain as intended.
+// Every method gives a 0-100 ease score (higher is easier):
+//   flesch           - Flesch Reading Ease, with the Flesch-Kincaid grade (English)
+//   fernandez-huerta - Flesch adapted to Spanish syllable counts
+//   sentence-length  - characters (Chinese) or syllables (Vietnamese) per
+//                      sentence only. There is no widely used formula for
+//                      these languages, so treat it as a rough guide.
+// Scores are for short conversational text and move a lot on a single
+// sentence; compare them, don't chart them.
+
+const EASY_SCORE = 70;
+const MODERATE_SCORE = 50;
+
+const clamp = (score) => Math.min(100, Math.max(0, score));
+const round = (value, digits = 0) => Number(value.toFixed(digits));
+
+// A full stop ends a sentence only before a space or the end, so 1.5 mg
+// stays in one piece
+const splitSentences = (text) => text
+  .split(/[.!?]+(?=\s|$)|[。！？；;\n]+/)
+  .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+
+const latinWords = (text) => text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+
+// Han characters, plus each run of digits or Latin letters (drug names,
+// numbers) as one unit
+const hanUnits = (text) => text.match(/\p{Script=Han}|\p{N}+(?:\.\p{N}+)?|[A-Za-z]+/gu) || [];
+
+// Vowel groups, after dropping the silent endings that would overcount
+function englishSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+  const trimmed = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  return Math.max(1, (trimmed.match(/[aeiouy]+/g) || []).length);
+}
+
+// Vowel groups, plus a syllable for each pair of strong vowels (le-er, ro-a)
+// that a group would count as one
+function spanishSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-záéíóúüñ]/g, '');
+  if (letters.length === 0) return 1;
+  const groups = (letters.match(/[aeiouáéíóúü]+/g) || []).length;
+  const hiatus = (letters.match(/[aeoáéíóú](?=[aeoáéíóú])/g) || []).length;
+  return Math.max(1, groups + hiatus);
+}
+
+const METHODS = {
+  flesch(text) {
+    const sentences = splitSentences(text).length;
+    const words = latinWords(text);
+    const syllables = words.reduce((total, word) => total + englishSyllables(word), 0);
+    const wordsPerSentence = words.length / sentences;
+    const syllablesPerWord = syllables / words.length;
+    return {
+      sentences,
+      averageSentenceLength: wordsPerSentence,
+      score: 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord,
+      grade: Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)
+    };
+  },
+
+  'fernandez-huerta'(text) {
+    const sentences = splitSentences(text).length;
+    const words = latinWords(text);
+    const syllables = words.reduce((total, word) => total + spanishSyllables(word), 0);
+    const wordsPerSentence = words.length / sentences;
+    return {
+      sentences,
+      averageSentenceLength: wordsPerSentence,
+      score: 206.84 - 60 * (syllables / words.length) - 1.02 * wordsPerSentence
+    };
+  },
+
+  // About 10 characters a sentence scores 95, 20 scores 70, 40 scores 20
+  'sentence-length'(text, language) {
+    const sentences = splitSentences(text).length;
+    const units = language.script === 'Latn' ? latinWords(text) : hanUnits(text);
+    const unitsPerSentence = units.length / sentences;
+    return {
+      sentences,
+      averageSentenceLength: unitsPerSentence,
+      score: 120 - 2.5 * unitsPerSentence
+    };
+  }
+};
+
+// Score for one text in a patient language or English (getLanguage id), or
+// null when there is nothing to score
+export function readabilityOf(text, languageId) {
+  const language = getLanguage(languageId);
+  const method = language?.readability;
+  if (!METHODS[method] || typeof text !== 'string' || splitSentences(text).length === 0) return null;
+
+  const { sentences, averageSentenceLength, score, grade } = METHODS[method](text, language);
+  const ease = round(clamp(score));
+  return {
+    language: language.id,
+    method,
+    score: ease,
+    level: ease >= EASY_SCORE ? 'easy' : ease >= MODERATE_SCORE ? 'moderate' : 'difficult',
+    ...(grade !== undefined && { grade: round(grade, 1) }),
+    sentences,
+    averageSentenceLength: round(averageSentenceLength, 1)
+  };
+}
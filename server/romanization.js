@@ -0,0 +1,41 @@
+import { pinyin } from 'pinyin-pro';
+import { getJyutpingList } from 'to-jyutping';
+
+// Reading aid shown under Chinese translations, for staff who speak the
+// language but don't read characters and for clinicians learning it:
+// tone-marked Pinyin for Mandarin, Jyutping with tone numbers for Cantonese.
+// Readings come from dictionaries, so a polyphonic character is occasionally
+// read the wrong way; it is for reading aloud, not for the chart.
+
+export const ROMANIZATION_SYSTEMS = ['pinyin', 'jyutping'];
+
+const HAN_RUN = /(\p{Script=Han}+)/u;
+
+const FULL_WIDTH_PUNCTUATION = {
+  '，': ',', '。': '.', '、': ',', '；': ';', '：': ':', '！': '!', '？': '?',
+  '（': '(', '）': ')', '「': '“', '」': '”', '『': '“', '』': '”', '《': '“', '》': '”', '～': '~'
+};
+
+// One syllable per character of a run of Chinese characters. Pinyin is
+// looked up for the whole run so words like 一起 get their tone sandhi.
+const SYLLABLES = {
+  pinyin: (run) => pinyin(run, { type: 'array', toneType: 'symbol' }),
+  jyutping: (run) => getJyutpingList(run).map(([char, jyutping]) => jyutping || char)
+};
+
+// The romanized text, or null for a system this module doesn't know or text
+// with no Chinese characters in it
+export function romanize(text, system) {
+  if (!SYLLABLES[system] || !HAN_RUN.test(text)) return null;
+
+  const words = text.split(HAN_RUN).flatMap((part, index) => index % 2 === 1
+    ? SYLLABLES[system](part)
+    : [part.replace(/[，。、；：！？（）「」『』《》～]/g, (mark) => FULL_WIDTH_PUNCTUATION[mark]).trim()]
+  ).filter(Boolean);
+
+  return words.join(' ')
+    .replace(/\s+([,.;:!?)”])/g, '$1')
+    .replace(/([(“])\s+/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,40 @@
+import express from 'express';
+
+// /api/audio/<key>.mp3 - stored speech, streamed with range support
+export function createAudioRouter(audioStore) {
+  const router = express.Router();
+
+  router.get('/:key.mp3', (req, res) => {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!audioStore.verifySignature(key, expires, signature)) {
+      return res.status(403).json({
+        error: 'Invalid or expired audio link',
+        details: 'Request the audio again to get a new link'
+      });
+    }
+
+    if (!audioStore.find(key)) {
+      return res.status(404).json({
+        error: 'Audio not found',
+        details: `No stored audio with key ${key}`
+      });
+    }
+
+    // sendFile answers Range requests and sets ETag / Last-Modified itself.
+    // The browser may keep the clip until the link expires; it is patient
+    // speech that the store deletes later, so shared caches may not keep it
+    // and it is not marked immutable.
+    const maxAge = Number(expires) - Math.floor(Date.now() / 1000);
+    res.sendFile(audioStore.fileFor(key), {
+      cacheControl: false,
+      headers: {
+        'Content-Type': 'audio/mpeg',
+        'Cache-Control': `private, max-age=${maxAge}`
+      }
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,59 @@
+import express from 'express';
+import { AUDIT_FIELDS } from '../audit/log.js';
+import { toCsv } from '../glossary/csv.js';
+
+// Dates like 2026-03-02 cover the whole day; full ISO timestamps are exact
+function parseBound(value, endOfDay) {
+  if (value === undefined) return { value: undefined };
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00.000Z` : value);
+  if (Number.isNaN(date.getTime())) return { error: true };
+  if (dateOnly && endOfDay) date.setUTCDate(date.getUTCDate() + 1);
+  return { value: date.toISOString() };
+}
+
+// /api/audit - chain verification and date-range export
+export function createAuditRouter(auditLog) {
+  const router = express.Router();
+
+  router.get('/verify', (req, res) => {
+    const result = auditLog.verify();
+    if (!result.valid) {
+      console.warn(`⚠️ Audit chain broken at line ${result.brokenAt.line}: ${result.brokenAt.reason}`);
+    }
+    res.json({ ...result, checkedAt: new Date().toISOString() });
+  });
+
+  // ?from=2026-03-01&to=2026-03-31 (UTC dates, inclusive) &format=json|csv
+  router.get('/export', (req, res) => {
+    const { format = 'json' } = req.query;
+    const from = parseBound(req.query.from, false);
+    const to = parseBound(req.query.to, true);
+
+    if (from.error || to.error) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        details: 'Use YYYY-MM-DD dates or ISO 8601 timestamps for from and to'
+      });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid export format',
+        details: 'Supported formats: json, csv'
+      });
+    }
+
+    const exported = auditLog.range({ from: from.value, to: to.value });
+    const fileName = `audit-${req.query.from || 'start'}-${req.query.to || 'now'}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.type('text/csv').send(toCsv(exported.entries, [...AUDIT_FIELDS, 'hash']));
+    } else {
+      res.json(exported);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,35 @@
+import express from 'express';
+
+// /api/auth - sign in and look up the signed-in user
+export function createAuthRouter(users, auth) {
+  const router = express.Router();
+
+  router.post('/login', (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
+      return res.status(400).json({
+        error: 'Username and password are required',
+        details: 'Please enter your username and password'
+      });
+    }
+
+    const user = users.authenticate(username, password);
+    if (!user) {
+      console.warn(`🔐 Failed sign-in for "${username.trim().slice(0, 40)}"`);
+      return res.status(401).json({
+        error: 'Invalid username or password',
+        details: 'Check your details, or ask an administrator to reset your password'
+      });
+    }
+
+    console.log(`🔐 Signed in: ${user.username} (${user.role})`);
+    res.json({ ...auth.issueToken(user), user });
+  });
+
+  router.get('/me', auth.requireUser, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return router;
+}
@@ -0,0 +1,29 @@
+import express from 'express';
+
+// /api/cache - translation cache statistics and invalidation
+export function createCacheRouter(cache) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json(cache.summary());
+  });
+
+  // Clears everything, or only entries matching ?text= (source phrase),
+  // ?direction=to_patient|to_english and ?language=
+  router.delete('/', (req, res) => {
+    const { text, direction, language } = req.query;
+
+    if (direction && !['to_patient', 'to_english'].includes(direction)) {
+      return res.status(400).json({
+        error: 'Invalid direction',
+        details: 'Supported directions: to_patient, to_english'
+      });
+    }
+
+    const removed = cache.invalidate({ text, translationDirection: direction, targetLanguage: language });
+    console.log(`🗃️ Translation cache invalidated by ${req.user.username}: ${removed} entries${text || direction || language ? ` (${[text && `"${text}"`, direction, language].filter(Boolean).join(', ')})` : ''}`);
+    res.json({ removed, ...cache.summary() });
+  });
+
+  return router;
+}
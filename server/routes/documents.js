@@ -0,0 +1,151 @@
+import express from 'express';
+import {
+  MAX_DOCUMENT_LENGTH,
+  parseDocument,
+  translateDocument,
+  withDocumentInstructions,
+  renderMarkdown,
+  renderDocumentHtml
+} from '../documents.js';
+import { wantsEventStream, startEventStream, sendEvent } from '../sse.js';
+import { LANGUAGE_IDS, DEFAULT_LANGUAGE, isSupportedLanguage } from '../languages/index.js';
+import { CHINESE_SCRIPTS, isChineseScript } from '../chinese-script.js';
+import { READING_LEVELS, DEFAULT_READING_LEVEL } from '../prompts.js';
+
+// /api/documents - discharge instructions and other handouts, translated
+// part by part with their structure intact. Clients that accept
+// text/event-stream get progress events while the parts are translated.
+export function createDocumentsRouter({ translator, auditLog, meterCompletion, concurrency, segmentCharacters }) {
+  const router = express.Router();
+
+  router.post('/translate', async (req, res) => {
+    const streaming = wantsEventStream(req);
+
+    try {
+      const {
+        text,
+        targetLanguage = DEFAULT_LANGUAGE,
+        script,
+        readingLevel = DEFAULT_READING_LEVEL,
+        patientContext
+      } = req.body;
+
+      if (!text || typeof text !== 'string' || text.trim().length === 0) {
+        return res.status(400).json({
+          error: 'Valid text is required',
+          details: 'Please provide a non-empty document to translate'
+        });
+      }
+
+      if (text.length > MAX_DOCUMENT_LENGTH) {
+        return res.status(400).json({
+          error: 'Document too long',
+          details: `Please limit documents to ${MAX_DOCUMENT_LENGTH} characters or less`
+        });
+      }
+
+      if (!isSupportedLanguage(targetLanguage)) {
+        return res.status(400).json({
+          error: 'Invalid target language',
+          details: `Supported languages: ${LANGUAGE_IDS.join(', ')}`
+        });
+      }
+
+      if (script !== undefined && script !== null && !isChineseScript(script)) {
+        return res.status(400).json({
+          error: 'Invalid script',
+          details: `Supported scripts: ${CHINESE_SCRIPTS.join(', ')}`
+        });
+      }
+
+      if (!READING_LEVELS.includes(readingLevel)) {
+        return res.status(400).json({
+          error: 'Invalid reading level',
+          details: `Supported reading levels: ${READING_LEVELS.join(', ')}`
+        });
+      }
+
+      // Handouts are written for the patient, so always English -> the patient's language
+      const translationDirection = 'to_patient';
+      res.locals.audit = {
+        direction: translationDirection,
+        language: targetLanguage,
+        contentHash: auditLog.contentHash({ text })
+      };
+
+      const blocks = parseDocument(text);
+      if (streaming) {
+        startEventStream(res);
+      }
+
+      const summary = await translateDocument(blocks, (segment, section) => translator.translate({
+        text: segment,
+        translationDirection,
+        targetLanguage,
+        script,
+        readingLevel,
+        patientContext,
+        adaptPrompt: (prompt) => withDocumentInstructions(prompt, section),
+        onCompletion: (completion) => meterCompletion(req, completion)
+      }), {
+        targetLanguage,
+        concurrency,
+        segmentCharacters,
+        onProgress: (done, total) => streaming && sendEvent(res, 'progress', { done, total })
+      });
+
+      const markdown = renderMarkdown(blocks);
+      console.log(`📄 Document translated (${targetLanguage}): ${summary.segments} segment(s), ${summary.cachedSegments} from cache`);
+
+      Object.assign(res.locals.audit, {
+        provider: summary.providers.length === 0 ? 'cache' : summary.providers.join(', '),
+        model: summary.models.join(', '),
+        contentHash: auditLog.contentHash({ text, translation: markdown })
+      });
+
+      const response = {
+        targetLanguage,
+        translationDirection,
+        blocks,
+        markdown,
+        bilingualMarkdown: renderMarkdown(blocks, { bilingual: true }),
+        html: renderDocumentHtml(blocks, { targetLanguage }),
+        ...summary,
+        ...(summary.providers.includes('dictionary') && { demoMode: true }),
+        timestamp: new Date().toISOString()
+      };
+
+      if (streaming) {
+        sendEvent(res, 'result', response);
+        return res.end();
+      }
+      res.json(response);
+
+    } catch (error) {
+      console.error('Document translation error:', error);
+
+      let status = 500;
+      let body = {
+        error: 'Document translation failed',
+        details: 'Unable to translate every part of the document'
+      };
+
+      if (error.code === 'insufficient_quota' || error.code === 'rate_limit_exceeded') {
+        status = 429;
+        body = {
+          error: 'Translation service temporarily unavailable',
+          details: 'Please try again in a moment'
+        };
+      }
+
+      if (streaming && res.headersSent) {
+        res.locals.audit.status = status;
+        sendEvent(res, 'error', { status, ...body });
+        return res.end();
+      }
+      res.status(status).json(body);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,157 @@
+import express from 'express';
+import { GLOSSARY_PAIRS, validateEntry } from '../glossary/store.js';
+import { parseCsv } from '../glossary/csv.js';
+
+// /api/glossary - list, search, edit, import and export approved terminology
+export function createGlossaryRouter(glossary) {
+  const router = express.Router();
+
+  // List or search entries: ?pair=en-cantonese&category=pain&q=headache&enforce=true
+  router.get('/', (req, res) => {
+    const { pair, category, q } = req.query;
+    const enforce = req.query.enforce === undefined ? undefined : req.query.enforce === 'true';
+
+    if (pair && !GLOSSARY_PAIRS.includes(pair)) {
+      return res.status(400).json({
+        error: 'Invalid language pair',
+        details: `Supported pairs: ${GLOSSARY_PAIRS.join(', ')}`
+      });
+    }
+
+    const entries = glossary.list({ pair, category, q, enforce });
+    res.json({ version: glossary.version, total: entries.length, entries });
+  });
+
+  router.get('/pairs', (req, res) => {
+    const pairs = GLOSSARY_PAIRS.map(pair => ({
+      pair,
+      count: glossary.list({ pair }).length
+    }));
+    res.json({ version: glossary.version, pairs });
+  });
+
+  // Export as ?format=json (default) or ?format=csv, optionally for one pair
+  router.get('/export', (req, res) => {
+    const { pair, format = 'json' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid export format',
+        details: 'Supported formats: json, csv'
+      });
+    }
+
+    const fileName = `glossary-${pair || 'all'}-v${glossary.version}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.type('text/csv').send(glossary.exportEntries({ pair, format }));
+    } else {
+      res.json(glossary.exportEntries({ pair, format }));
+    }
+  });
+
+  // Import a CSV body (Content-Type: text/csv) or JSON { entries: [...] }.
+  // ?mode=replace swaps out every pair present in the import; default merges.
+  router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+    const mode = req.query.mode || 'merge';
+
+    if (!['merge', 'replace'].includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid import mode',
+        details: 'Supported modes: merge, replace'
+      });
+    }
+
+    let rows;
+    try {
+      rows = typeof req.body === 'string' ? parseCsv(req.body) : req.body?.entries;
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid CSV', details: error.message });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        error: 'No entries to import',
+        details: 'Send CSV with a header row, or JSON in the form { "entries": [...] }'
+      });
+    }
+
+    const result = glossary.importEntries(rows, { mode });
+    if (mode === 'replace' && result.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid glossary import',
+        details: 'Nothing was replaced; fix the rows listed in errors and import again',
+        ...result
+      });
+    }
+    console.log(`📚 Glossary import (${mode}): ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`);
+
+    res.json({ version: glossary.version, mode, ...result });
+  });
+
+  router.get('/:id', (req, res) => {
+    const entry = glossary.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Glossary entry not found' });
+    }
+    res.json(entry);
+  });
+
+  router.post('/', (req, res) => {
+    const problem = validateEntry(req.body);
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid glossary entry', details: problem });
+    }
+
+    const { pair, source } = req.body;
+    const existing = glossary.findBySource(pair, source);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Term already exists',
+        details: `"${existing.source}" is already in ${pair} as entry ${existing.id}`
+      });
+    }
+
+    const entry = glossary.add(req.body);
+    console.log(`📚 Glossary entry added (${entry.pair}): "${entry.source}" -> "${entry.target}"`);
+    res.status(201).json({ version: glossary.version, entry });
+  });
+
+  router.put('/:id', (req, res) => {
+    const current = glossary.get(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Glossary entry not found' });
+    }
+
+    const merged = { ...current, ...req.body };
+    const problem = validateEntry(merged);
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid glossary entry', details: problem });
+    }
+
+    const clash = glossary.findBySource(merged.pair, merged.source);
+    if (clash && clash.id !== current.id) {
+      return res.status(409).json({
+        error: 'Term already exists',
+        details: `"${clash.source}" is already in ${merged.pair} as entry ${clash.id}`
+      });
+    }
+
+    const entry = glossary.update(current.id, req.body);
+    console.log(`📚 Glossary entry updated (${entry.pair}): "${entry.source}" -> "${entry.target}" (rev ${entry.revision})`);
+    res.json({ version: glossary.version, entry });
+  });
+
+  router.delete('/:id', (req, res) => {
+    const removed = glossary.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Glossary entry not found' });
+    }
+
+    console.log(`📚 Glossary entry deleted (${removed.pair}): "${removed.source}"`);
+    res.json({ version: glossary.version, deleted: removed });
+  });
+
+  return router;
+}
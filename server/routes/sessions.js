@@ -0,0 +1,240 @@
+import express from 'express';
+import { SESSION_STATUSES, SPEAKERS } from '../sessions/store.js';
+import { normalizePatientContext } from '../patient-context.js';
+import { TRANSCRIPT_FORMATS, renderTranscript } from '../transcripts.js';
+import { FHIR_BUNDLE_TYPES, buildFhirBundle } from '../fhir.js';
+import { LANGUAGE_IDS, DEFAULT_LANGUAGE, isSupportedLanguage } from '../languages/index.js';
+import { CHINESE_SCRIPTS, isChineseScript } from '../chinese-script.js';
+
+// Sessions hold patient conversations, so a user only sees their own and
+// those of their clinic; 'sessions:all' (admins) sees every one
+const canAccess = (user, session) =>
+  user.permissions.includes('sessions:all') ||
+  session.createdBy === user.username ||
+  Boolean(session.clinic && session.clinic === user.clinic);
+
+// /api/sessions - create, list, fetch, append turns to, close and delete
+// sessions. Deleting one also deletes the audio clips played in it.
+export function createSessionsRouter(sessions, { audioStore } = {}) {
+  const router = express.Router();
+
+  // Someone else's session is reported as missing, not forbidden, so ids
+  // can't be probed
+  const findSession = (req) => {
+    const session = sessions.get(req.params.id);
+    return session && canAccess(req.user, session) ? session : null;
+  };
+
+  const invalidLanguage = (targetLanguage) =>
+    targetLanguage !== undefined && !isSupportedLanguage(targetLanguage);
+
+  // null clears the preference, so the language's own script is used
+  const invalidScript = (script) =>
+    script !== undefined && script !== null && !isChineseScript(script);
+
+  router.post('/', (req, res) => {
+    const { targetLanguage = DEFAULT_LANGUAGE, script = null, patientContext } = req.body || {};
+
+    if (invalidLanguage(targetLanguage)) {
+      return res.status(400).json({
+        error: 'Invalid target language',
+        details: `Supported languages: ${LANGUAGE_IDS.join(', ')}`
+      });
+    }
+
+    if (invalidScript(script)) {
+      return res.status(400).json({
+        error: 'Invalid script',
+        details: `Supported scripts: ${CHINESE_SCRIPTS.join(', ')}`
+      });
+    }
+
+    const session = sessions.create({
+      targetLanguage,
+      script,
+      patientContext: normalizePatientContext(patientContext),
+      createdBy: req.user.username,
+      clinic: req.user.clinic || null
+    });
+    console.log(`🗂️ Session created: ${session.id} (${targetLanguage}, ${session.createdBy})`);
+    res.status(201).json(session);
+  });
+
+  // ?status=open to find sessions that can be resumed
+  router.get('/', (req, res) => {
+    const { status } = req.query;
+
+    if (status && !SESSION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        details: `Supported statuses: ${SESSION_STATUSES.join(', ')}`
+      });
+    }
+
+    res.json({ sessions: sessions.list({ status }).filter(session => canAccess(req.user, session)) });
+  });
+
+  router.get('/:id', (req, res) => {
+    const session = findSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(session);
+  });
+
+  // Update the session language, script preference or patient profile
+  router.patch('/:id', (req, res) => {
+    const { targetLanguage, script, patientContext } = req.body || {};
+
+    if (invalidLanguage(targetLanguage)) {
+      return res.status(400).json({
+        error: 'Invalid target language',
+        details: `Supported languages: ${LANGUAGE_IDS.join(', ')}`
+      });
+    }
+
+    if (invalidScript(script)) {
+      return res.status(400).json({
+        error: 'Invalid script',
+        details: `Supported scripts: ${CHINESE_SCRIPTS.join(', ')}`
+      });
+    }
+
+    const session = findSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.status === 'closed') {
+      return res.status(409).json({ error: 'Session is closed', details: 'Closed sessions cannot be changed' });
+    }
+
+    const updated = sessions.update(session.id, {
+      targetLanguage,
+      script,
+      ...(patientContext !== undefined && { patientContext: normalizePatientContext(patientContext) })
+    });
+    res.json(sessions.summarize(updated));
+  });
+
+  router.post('/:id/turns', (req, res) => {
+    const turn = req.body || {};
+
+    if (!SPEAKERS.includes(turn.speaker)) {
+      return res.status(400).json({
+        error: 'Invalid speaker',
+        details: `Supported speakers: ${SPEAKERS.join(', ')}`
+      });
+    }
+
+    if (typeof turn.originalText !== 'string' || !turn.originalText.trim() ||
+        typeof turn.translatedText !== 'string' || !turn.translatedText.trim()) {
+      return res.status(400).json({
+        error: 'Valid text is required',
+        details: 'Both originalText and translatedText must be non-empty strings'
+      });
+    }
+
+    const session = findSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.status === 'closed') {
+      return res.status(409).json({ error: 'Session is closed', details: 'Start a new session to continue' });
+    }
+
+    const stored = sessions.appendTurn(session.id, turn);
+    res.status(201).json(stored);
+  });
+
+  // Bilingual transcript: ?format=html (default, printable) | pdf | txt.
+  // HTML opens in the browser unless ?download=1.
+  router.get('/:id/transcript', async (req, res) => {
+    const { format = 'html', download } = req.query;
+
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid transcript format',
+        details: `Supported formats: ${TRANSCRIPT_FORMATS.join(', ')}`
+      });
+    }
+
+    const session = findSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    try {
+      const transcript = await renderTranscript(session, format);
+      const fileName = `transcript-${session.createdAt.slice(0, 10)}-${session.id.slice(0, 8)}.${transcript.extension}`;
+      const disposition = format === 'html' && !download ? 'inline' : 'attachment';
+
+      console.log(`🗂️ Transcript exported: ${session.id} (${format})`);
+      res.setHeader('Content-Type', transcript.contentType);
+      res.setHeader('Content-Disposition', `${disposition}; filename="${fileName}"`);
+      res.send(transcript.body);
+    } catch (error) {
+      if (error.code === 'NO_CJK_FONT') {
+        return res.status(501).json({
+          error: 'PDF export not available',
+          details: 'Set PDF_FONT_PATH to a font with Chinese characters (e.g. Noto Sans CJK), or use the HTML transcript and print it to PDF'
+        });
+      }
+      console.error('Transcript export error:', error);
+      res.status(500).json({ error: 'Transcript export failed', details: 'Unable to render transcript' });
+    }
+  });
+
+  // FHIR R4 Bundle for EHR import: ?type=collection (default) | transaction,
+  // optional ?mrn= to identify the patient
+  router.get('/:id/fhir', async (req, res) => {
+    const { type = 'collection', mrn } = req.query;
+
+    if (!FHIR_BUNDLE_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid bundle type',
+        details: `Supported types: ${FHIR_BUNDLE_TYPES.join(', ')}`
+      });
+    }
+
+    const session = findSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    try {
+      const bundle = await buildFhirBundle(session, { type, mrn });
+      console.log(`🗂️ FHIR bundle exported: ${session.id} (${type}, ${bundle.entry.length} resources)`);
+      res.setHeader('Content-Disposition', `attachment; filename="fhir-${session.id.slice(0, 8)}.json"`);
+      res.type('application/fhir+json').send(JSON.stringify(bundle, null, 2));
+    } catch (error) {
+      console.error('FHIR export error:', error);
+      res.status(500).json({ error: 'FHIR export failed', details: 'Unable to build FHIR bundle' });
+    }
+  });
+
+  router.post('/:id/close', (req, res) => {
+    if (!findSession(req)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const session = sessions.close(req.params.id);
+
+    console.log(`🗂️ Session closed: ${session.id} (${session.turns.length} turns)`);
+    res.json(sessions.summarize(session));
+  });
+
+  router.delete('/:id', (req, res) => {
+    const session = findSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    sessions.remove(session.id);
+    const removedClips = audioStore ? audioStore.removeForSession(session.id) : 0;
+
+    console.log(`🗂️ Session deleted: ${session.id} (${session.turns.length} turns, ${removedClips} audio clips)`);
+    res.status(204).end();
+  });
+
+  return router;
+}
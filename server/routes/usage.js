@@ -0,0 +1,79 @@
+import express from 'express';
+import { USAGE_GROUPS } from '../usage/store.js';
+import { validateQuotas, quotaStatus } from '../usage/quotas.js';
+import { toCsv } from '../glossary/csv.js';
+
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// /api/usage - own usage for everyone; spend reports and quotas for admins
+export function createUsageRouter(usage, quotas, auth) {
+  const router = express.Router();
+
+  // Today's and this month's usage for the signed-in user, with their quotas
+  router.get('/me', (req, res) => {
+    const { username: user, clinic } = req.user;
+    const today = new Date().toISOString().slice(0, 10);
+    res.json({
+      user,
+      clinic: clinic || null,
+      today: usage.totals({ user, from: today }),
+      month: usage.totals({ user, from: `${today.slice(0, 7)}-01` }),
+      quotas: quotaStatus(usage, quotas, { user, clinic })
+    });
+  });
+
+  // ?from=2026-03-01&to=2026-03-31 (UTC days, inclusive) &groupBy=clinic
+  // &user= &clinic= &format=json|csv
+  router.get('/report', auth.requirePermission('usage:read'), (req, res) => {
+    const { from, to, user, clinic, groupBy = 'clinic', format = 'json' } = req.query;
+
+    if ((from && !isDay(from)) || (to && !isDay(to))) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        details: 'Use YYYY-MM-DD dates for from and to'
+      });
+    }
+
+    if (!USAGE_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        error: 'Invalid grouping',
+        details: `Supported groupBy values: ${USAGE_GROUPS.join(', ')}`
+      });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid export format',
+        details: 'Supported formats: json, csv'
+      });
+    }
+
+    const report = usage.report({ from, to, user, clinic, groupBy });
+
+    if (format === 'csv') {
+      const columns = [groupBy, 'requests', 'promptTokens', 'completionTokens', 'tokens', 'ttsCharacters', 'cost'];
+      res.setHeader('Content-Disposition', `attachment; filename="usage-by-${groupBy}-${from || 'start'}-${to || 'now'}.csv"`);
+      return res.type('text/csv').send(toCsv([...report.groups, { [groupBy]: 'TOTAL', ...report.total }], columns));
+    }
+
+    res.json({ from: from || null, to: to || null, currency: 'USD', ...report });
+  });
+
+  router.get('/quotas', auth.requirePermission('usage:read'), (req, res) => {
+    res.json(quotas.get());
+  });
+
+  // Replaces the whole quota document
+  router.put('/quotas', auth.requirePermission('usage:manage'), (req, res) => {
+    const problem = validateQuotas(req.body);
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid quotas', details: problem });
+    }
+
+    const updated = quotas.replace(req.body);
+    console.log(`💰 Usage quotas updated by ${req.user.username}`);
+    res.json(updated);
+  });
+
+  return router;
+}
@@ -0,0 +1,61 @@
+import express from 'express';
+import { validateUser } from '../auth/users.js';
+
+// /api/users - account management for administrators
+export function createUsersRouter(users) {
+  const router = express.Router();
+
+  // An administrator must never be able to lock everyone out
+  const isLastAdmin = (user) =>
+    user.role === 'admin' && !user.disabled &&
+    users.list().filter(other => other.role === 'admin' && !other.disabled).length === 1;
+
+  router.get('/', (req, res) => {
+    res.json({ users: users.list() });
+  });
+
+  router.post('/', (req, res) => {
+    const problem = validateUser(req.body, { creating: true });
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid user', details: problem });
+    }
+
+    if (users.findByUsername(req.body.username)) {
+      return res.status(409).json({
+        error: 'Username already exists',
+        details: `"${req.body.username.trim().toLowerCase()}" is already taken`
+      });
+    }
+
+    const user = users.add(req.body);
+    console.log(`🔐 User created: ${user.username} (${user.role}) by ${req.user.username}`);
+    res.status(201).json(user);
+  });
+
+  // Change role, display name or password, or disable the account
+  router.patch('/:id', (req, res) => {
+    const current = users.get(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const problem = validateUser(req.body);
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid user', details: problem });
+    }
+
+    const { role, disabled } = req.body;
+    if (isLastAdmin(current) && ((role !== undefined && role !== 'admin') || disabled)) {
+      return res.status(409).json({
+        error: 'Cannot remove the last administrator',
+        details: 'Give another user the admin role first'
+      });
+    }
+
+    const user = users.update(current.id, req.body);
+    console.log(`🔐 User updated: ${user.username} (${user.role}${user.disabled ? ', disabled' : ''}) by ${req.user.username}`);
+    res.json(user);
+  });
+
+  return router;
+}
@@ -0,0 +1,51 @@
+// Splitting long English or Chinese text into pieces that a TTS voice or a
+// translation model can take in one request, without cutting sentences.
+
+// Chinese full stops end a sentence anywhere; an English full stop only
+// before whitespace, so "2.5 mg" stays whole. Closing quotes and brackets
+// stay with their sentence.
+const SENTENCE_END = /[。！？!?]+[”"'」』）)]*\s*|\.+[”"'」』）)]*(?=\s|$)\s*/g;
+const CLAUSE_END = /[，、；：,;:]\s*/g;
+
+// Splits after each match of `pattern`, keeping the delimiters
+function splitAfter(text, pattern) {
+  const pieces = [];
+  let start = 0;
+  for (const match of text.matchAll(pattern)) {
+    const end = match.index + match[0].length;
+    if (end > start) pieces.push(text.slice(start, end));
+    start = end;
+  }
+  if (start < text.length) pieces.push(text.slice(start));
+  return pieces;
+}
+
+// Greedily packs pieces into chunks of at most maxCharacters
+function pack(pieces, maxCharacters) {
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && (current + piece).trim().length > maxCharacters) {
+      chunks.push(current);
+      current = '';
+    }
+    current += piece;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Sentence-sized segments of at most maxCharacters. An overlong sentence is
+// split at clause punctuation, and only as a last resort mid-clause.
+export function splitIntoSegments(text, maxCharacters) {
+  const pieces = splitAfter(text, SENTENCE_END).flatMap(sentence => {
+    if (sentence.trim().length <= maxCharacters) return [sentence];
+    return pack(splitAfter(sentence, CLAUSE_END), maxCharacters).flatMap(clause => {
+      const hardCuts = [];
+      for (let i = 0; i < clause.length; i += maxCharacters) hardCuts.push(clause.slice(i, i + maxCharacters));
+      return hardCuts;
+    });
+  });
+
+  return pack(pieces, maxCharacters).map(chunk => chunk.trim()).filter(Boolean);
+}
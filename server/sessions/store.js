@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_LANGUAGE } from '../languages/index.js';
+
+// Interpretation sessions, one JSON file each under <DATA_DIR>/sessions, so
+// a reloaded tablet can pick up exactly where the conversation left off.
+
+export const SESSION_STATUSES = ['open', 'closed'];
+export const SPEAKERS = ['doctor', 'patient'];
+
+// Optional per-turn details kept alongside the text
+const TURN_DETAIL_FIELDS = ['provider', 'model', 'glossary', 'verification', 'warnings', 'sig', 'readability', 'romanization'];
+
+const isSessionId = (id) => /^[0-9a-f-]{36}$/i.test(id);
+
+export function createSessionStore(directory) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const fileFor = (id) => path.join(directory, `${id}.json`);
+
+  function read(id) {
+    if (!isSessionId(id) || !fs.existsSync(fileFor(id))) return null;
+    return JSON.parse(fs.readFileSync(fileFor(id), 'utf8'));
+  }
+
+  // Write-then-rename so a crash never leaves a half-written session
+  function write(session) {
+    const tmpFile = `${fileFor(session.id)}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(session, null, 2));
+    fs.renameSync(tmpFile, fileFor(session.id));
+    return session;
+  }
+
+  const summarize = ({ turns, ...session }) => ({ ...session, turnCount: turns.length });
+
+  function create({ targetLanguage = DEFAULT_LANGUAGE, script = null, patientContext = null, createdBy = null, clinic = null } = {}) {
+    const now = new Date().toISOString();
+    return write({
+      id: crypto.randomUUID(),
+      status: 'open',
+      targetLanguage,
+      script,
+      patientContext,
+      createdBy,
+      clinic,
+      createdAt: now,
+      updatedAt: now,
+      closedAt: null,
+      turns: []
+    });
+  }
+
+  // Newest first; turns are left out of the listing
+  function list({ status } = {}) {
+    return fs.readdirSync(directory)
+      .filter(name => name.endsWith('.json'))
+      .map(name => read(name.slice(0, -'.json'.length)))
+      .filter(session => session && (!status || session.status === status))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(summarize);
+  }
+
+  function get(id) {
+    return read(id);
+  }
+
+  function update(id, changes) {
+    const session = read(id);
+    if (!session) return null;
+
+    if (changes.targetLanguage !== undefined) session.targetLanguage = changes.targetLanguage;
+    if (changes.script !== undefined) session.script = changes.script;
+    if (changes.patientContext !== undefined) session.patientContext = changes.patientContext;
+    session.updatedAt = new Date().toISOString();
+    return write(session);
+  }
+
+  function appendTurn(id, turn) {
+    const session = read(id);
+    if (!session) return null;
+
+    const now = new Date().toISOString();
+    const stored = {
+      id: crypto.randomUUID(),
+      speaker: turn.speaker,
+      originalText: turn.originalText,
+      translatedText: turn.translatedText,
+      originalLanguage: turn.originalLanguage || (turn.speaker === 'doctor' ? 'English' : session.targetLanguage),
+      translatedLanguage: turn.translatedLanguage || (turn.speaker === 'doctor' ? session.targetLanguage : 'English'),
+      timestamp: turn.timestamp || now
+    };
+    for (const field of TURN_DETAIL_FIELDS) {
+      if (turn[field] !== undefined) stored[field] = turn[field];
+    }
+
+    session.turns.push(stored);
+    session.updatedAt = now;
+    write(session);
+    return stored;
+  }
+
+  function close(id) {
+    const session = read(id);
+    if (!session) return null;
+
+    if (session.status !== 'closed') {
+      session.status = 'closed';
+      session.closedAt = new Date().toISOString();
+      session.updatedAt = session.closedAt;
+      write(session);
+    }
+    return session;
+  }
+
+  // Deletes the session file; returns whether there was one
+  function remove(id) {
+    if (!read(id)) return false;
+    fs.rmSync(fileFor(id), { force: true });
+    return true;
+  }
+
+  return { create, list, get, update, appendTurn, close, remove, summarize };
+}
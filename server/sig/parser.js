@@ -0,0 +1,189 @@
+// Parser for medication instructions ("sigs") such as
+//   take 1 tablet by mouth twice daily with food for 7 days
+//   1-2 tabs po q6h prn pain, max 8 tablets in 24 hours
+// into a structured form:
+//   { action, dose: { amount, amountMax, unit }, route, frequency,
+//     asNeeded, indication, conditions: [], duration, maxDose }
+//
+// Only text that is a sig from start to finish is parsed. Anything the parser
+// doesn't recognise (tapers, "this medication", extra advice) makes parseSig
+// return null, and the text is translated the usual way.
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  half: 0.5, 'half a': 0.5, 'half an': 0.5, 'a half': 0.5, 'one half': 0.5, 'one-half': 0.5, a: 1, an: 1
+};
+
+const NUMBER = '(\\d+\\/\\d+|\\d+(?:\\.\\d+)?|one-half|one half|a half|half an?|half|one|two|three|four|five|six|seven|eight|nine|ten|an|a)';
+
+const parseNumber = (value) => {
+  if (value in NUMBER_WORDS) return NUMBER_WORDS[value];
+  const [numerator, denominator] = value.split('/');
+  return denominator ? Number(numerator) / Number(denominator) : Number(value);
+};
+
+// [unit, pattern]; the unit names are what templates are keyed on
+const UNITS = [
+  ['tablet', 'tablets?'],
+  ['capsule', 'capsules?'],
+  ['mcg', 'mcg|micrograms?'],
+  ['mg', 'mg|milligrams?'],
+  ['g', 'g|grams?'],
+  ['mL', 'ml|milliliters?|millilitres?'],
+  ['drop', 'drops?'],
+  ['puff', 'puffs?|inhalations?'],
+  ['spray', 'sprays?'],
+  ['unit', 'units?'],
+  ['teaspoon', 'teaspoons?|teaspoonfuls?|tsp'],
+  ['tablespoon', 'tablespoons?|tablespoonfuls?|tbsp'],
+  ['patch', 'patch(?:es)?'],
+  ['sachet', 'sachets?']
+];
+const UNIT = `(${UNITS.map(([, pattern]) => pattern).join('|')})`;
+const unitFor = (text) => UNITS.find(([, pattern]) => new RegExp(`^(?:${pattern})$`).test(text))[0];
+
+const ROUTES = [
+  ['oral', 'by mouth|orally'],
+  ['sublingual', 'under the tongue|sublingually'],
+  ['topical', '(?:topically )?to (?:the )?affected (?:areas?|skin)|topically|on the skin'],
+  ['eye_both', 'in(?:to)? (?:each|both) eyes?'],
+  ['eye_left', 'in(?:to)? the left eye'],
+  ['eye_right', 'in(?:to)? the right eye'],
+  ['ear_both', 'in(?:to)? (?:each|both) ears?'],
+  ['ear_left', 'in(?:to)? the left ear'],
+  ['ear_right', 'in(?:to)? the right ear'],
+  ['nose', 'in(?:to)? each nostril|in(?:to)? (?:the )?nose|nasally'],
+  ['inhaled', 'by inhalation'],
+  ['subcutaneous', 'subcutaneously|under the skin'],
+  ['rectal', 'rectally'],
+  ['vaginal', 'vaginally']
+];
+
+const INDICATIONS = [
+  ['chest_pain', 'chest pain'],
+  ['headache', 'headaches?'],
+  ['pain', 'pain'],
+  ['fever', 'fever'],
+  ['nausea', 'nausea(?: (?:and|or) vomiting)?'],
+  ['sleep', 'sleep|insomnia'],
+  ['anxiety', 'anxiety'],
+  ['shortness_of_breath', 'shortness of breath|breathlessness'],
+  ['wheezing', 'wheez(?:e|ing)'],
+  ['cough', 'cough(?:ing)?'],
+  ['itching', 'itch(?:ing)?'],
+  ['constipation', 'constipation']
+];
+const INDICATION = `(${INDICATIONS.map(([, pattern]) => pattern).join('|')})`;
+const indicationFor = (text) => INDICATIONS.find(([, pattern]) => new RegExp(`^(?:${pattern})$`).test(text))[0];
+
+const TIMES = { once: 1, twice: 2, 'three times': 3, 'four times': 4, 'five times': 5, 'six times': 6 };
+const TIMES_WORD = '(once|twice|three times|four times|five times|six times|(\\d+) times)';
+const timesFrom = (match) => match[2] ? Number(match[2]) : TIMES[match[1]];
+
+// Clinical shorthand, expanded before parsing
+const ABBREVIATIONS = [
+  [/\bpo\b/g, 'by mouth'],
+  [/\bbid\b/g, 'twice daily'],
+  [/\btid\b/g, 'three times daily'],
+  [/\bqid\b/g, 'four times daily'],
+  [/\bqd\b/g, 'once daily'],
+  [/\bqhs\b|\bhs\b/g, 'at bedtime'],
+  [/\bqod\b/g, 'every other day'],
+  [/\bq ?(\d+) ?hr?s?\b/g, 'every $1 hours'],
+  [/\bprn\b/g, 'as needed'],
+  [/\bac\b/g, 'before meals'],
+  [/\bpc\b/g, 'after meals'],
+  [/\bsl\b/g, 'under the tongue'],
+  [/\btabs?\b/g, 'tablet'],
+  [/\bcaps?\b/g, 'capsule'],
+  [/\bgtts?\b/g, 'drops'],
+  [/\bx ?(\d+) ?(days?|weeks?|months?)\b/g, 'for $1 $2'],
+  [/\bhrs?\b/g, 'hours']
+];
+
+const normalize = (text) => {
+  let normalized = text.toLowerCase()
+    // p.o. -> po, b.i.d. -> bid
+    .replace(/\b((?:[a-z]\.){1,3}[a-z]?)\.?(?=[\s,;]|$)/g, (match) => match.replace(/\./g, ''))
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[.!]+$/, '');
+  for (const [pattern, replacement] of ABBREVIATIONS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  return normalized;
+};
+
+// Each clause sets part of the sig; set() refuses a second value for a
+// field, since "twice daily ... every 8 hours" is ambiguous
+const CLAUSES = [
+  [/^(take|give|apply|inhale|instill|insert|use|chew|dissolve|place|spray|inject)\b/, (m, set) => set('action', m[1])],
+  [new RegExp(`^${NUMBER}(?: ?(?:-|to|or) ?${NUMBER})? ?${UNIT}\\b`), (m, set) => set('dose', {
+    amount: parseNumber(m[1]),
+    amountMax: m[2] ? parseNumber(m[2]) : null,
+    unit: unitFor(m[3])
+  })],
+  ...ROUTES.map(([route, pattern]) => [new RegExp(`^(?:${pattern})\\b`), (m, set) => set('route', route)]),
+  [new RegExp(`^${TIMES_WORD} (?:a day|per day|each day|every day|daily)\\b`), (m, set) => set('frequency', { timesPerDay: timesFrom(m) })],
+  [/^(?:daily|every day|each day)\b/, (m, set) => set('frequency', { timesPerDay: 1 })],
+  [new RegExp(`^every ${NUMBER} hours?\\b`), (m, set) => set('frequency', { everyHours: parseNumber(m[1]) })],
+  [/^every hour\b/, (m, set) => set('frequency', { everyHours: 1 })],
+  [new RegExp(`^${TIMES_WORD} (?:a|per) week\\b`), (m, set) => set('frequency', { timesPerWeek: timesFrom(m) })],
+  [/^(?:weekly|once weekly|every week)\b/, (m, set) => set('frequency', { timesPerWeek: 1 })],
+  [/^every other day\b/, (m, set) => set('frequency', { everyOtherDay: true })],
+  [/^(?:(?:once )?(?:every|each) morning|in the morning)\b/, (m, set) => set('frequency', { timeOfDay: 'morning' })],
+  [/^(?:(?:once )?(?:every|each) (?:evening|night)|in the evening|at night)\b/, (m, set) => set('frequency', { timeOfDay: 'evening' })],
+  [/^(?:(?:once )?at bedtime|before bed(?:time)?)\b/, (m, set) => set('frequency', { timeOfDay: 'bedtime' })],
+  [new RegExp(`^(?:as needed|when needed|if needed|as required|when required)(?:(?: for)? ${INDICATION})?\\b`), (m, set) =>
+    set('asNeeded', true) && (!m[1] || set('indication', indicationFor(m[1])))],
+  [new RegExp(`^for ${INDICATION}\\b`), (m, set) => set('indication', indicationFor(m[1]))],
+  [/^with (?:food|meals?)\b/, (m, set, sig) => sig.conditions.push('with_food')],
+  [/^after (?:food|meals?|eating)\b/, (m, set, sig) => sig.conditions.push('after_meals')],
+  [/^before (?:food|meals?|eating)\b/, (m, set, sig) => sig.conditions.push('before_meals')],
+  [/^on an empty stomach\b/, (m, set, sig) => sig.conditions.push('empty_stomach')],
+  [/^with (?:a (?:full )?glass of |plenty of )?water\b/, (m, set, sig) => sig.conditions.push('with_water')],
+  [new RegExp(`^for ${NUMBER} (day|week|month)s?\\b`), (m, set) => set('duration', { value: parseNumber(m[1]), unit: m[2] })],
+  [/^until (?:finished|gone|all (?:taken|used|gone)|the (?:course|bottle|prescription) is finished)\b/, (m, set) => set('duration', { untilFinished: true })],
+  [new RegExp(`^(?:do not (?:exceed|take more than|use more than)|no more than|not more than|(?:a )?max(?:imum)?(?: of)?) ${NUMBER} ?${UNIT}? ?(?:in|per|within|every|a) (?:24 hours|(?:one |a |1 )?day)\\b`), (m, set) =>
+    set('maxDose', { amount: parseNumber(m[1]), unit: m[2] ? unitFor(m[2]) : null, perHours: 24 })],
+  [/^(?:,|;|and\b)/, () => true]
+];
+
+export function parseSig(text) {
+  if (typeof text !== 'string' || text.length > 300) return null;
+
+  const sig = {
+    action: null,
+    dose: null,
+    route: null,
+    frequency: null,
+    asNeeded: false,
+    indication: null,
+    conditions: [],
+    duration: null,
+    maxDose: null
+  };
+  const set = (field, value) => {
+    if (sig[field]) return false;
+    sig[field] = value;
+    return true;
+  };
+
+  let rest = normalize(text);
+  while (rest) {
+    let matched = false;
+    for (const [pattern, apply] of CLAUSES) {
+      const match = rest.match(pattern);
+      if (!match) continue;
+      if (apply(match, set, sig) === false) return null;
+      rest = rest.slice(match[0].length).trim();
+      matched = true;
+      break;
+    }
+    if (!matched) return null;
+  }
+
+  // A dose or route plus a schedule is the least that counts as a sig
+  if (!(sig.frequency || sig.asNeeded) || !(sig.dose || sig.route)) return null;
+  return sig;
+}
@@ -0,0 +1,199 @@
+// Fixed wording for parsed medication instructions (see parser.js), so a dose
+// reads the same way every time instead of depending on the model. Numbers
+// stay as digits. The Chinese wording follows pharmacy label conventions:
+// route, dose per time, schedule, then conditions and duration.
+//
+// These phrases are clinical content: changes need the same interpreter
+// review as glossary terms, and SIG_TEMPLATE_VERSION must be bumped so
+// audited translations can be traced to the wording that produced them.
+
+import { convertScript } from '../chinese-script.js';
+
+export const SIG_TEMPLATE_VERSION = 1;
+
+const TEMPLATES = {
+  english: {
+    units: {
+      tablet: ['tablet', 'tablets'], capsule: ['capsule', 'capsules'], mcg: ['mcg', 'mcg'], mg: ['mg', 'mg'],
+      g: ['g', 'g'], mL: ['mL', 'mL'], drop: ['drop', 'drops'], puff: ['puff', 'puffs'], spray: ['spray', 'sprays'],
+      unit: ['unit', 'units'], teaspoon: ['teaspoon', 'teaspoons'], tablespoon: ['tablespoon', 'tablespoons'],
+      patch: ['patch', 'patches'], sachet: ['sachet', 'sachets']
+    },
+    routes: {
+      oral: 'by mouth', sublingual: 'under the tongue', topical: 'to the affected area',
+      eye_both: 'in both eyes', eye_left: 'in the left eye', eye_right: 'in the right eye',
+      ear_both: 'in both ears', ear_left: 'in the left ear', ear_right: 'in the right ear',
+      nose: 'in each nostril', inhaled: 'by inhalation', subcutaneous: 'under the skin',
+      rectal: 'rectally', vaginal: 'vaginally'
+    },
+    conditions: {
+      with_food: 'with food', after_meals: 'after meals', before_meals: 'before meals',
+      empty_stomach: 'on an empty stomach', with_water: 'with a glass of water'
+    },
+    indications: {
+      chest_pain: 'chest pain', headache: 'headache', pain: 'pain', fever: 'fever', nausea: 'nausea',
+      sleep: 'sleep', anxiety: 'anxiety', shortness_of_breath: 'shortness of breath', wheezing: 'wheezing',
+      cough: 'cough', itching: 'itching', constipation: 'constipation'
+    },
+    timesPerDay: (n) => ({ 1: 'once a day', 2: 'twice a day' })[n] || `${n} times a day`,
+    everyHours: (n) => n === 1 ? 'every hour' : `every ${n} hours`,
+    timesPerWeek: (n) => ({ 1: 'once a week', 2: 'twice a week' })[n] || `${n} times a week`,
+    everyOtherDay: 'every other day',
+    timeOfDay: { morning: 'every morning', evening: 'every evening', bedtime: 'at bedtime' },
+    duration: ({ value, unit }) => `for ${value} ${unit}${value === 1 ? '' : 's'}`,
+    untilFinished: 'until finished',
+    maxDose: (amount, hours) => `Do not take more than ${amount} in ${hours} hours.`
+  },
+  mandarin: {
+    units: {
+      tablet: '片', capsule: '粒', mcg: '微克', mg: '毫克', g: '克', mL: '毫升', drop: '滴', puff: '喷',
+      spray: '喷', unit: '单位', teaspoon: '茶匙', tablespoon: '汤匙', patch: '贴', sachet: '包'
+    },
+    routes: {
+      oral: '口服', sublingual: '舌下含服', topical: '外用，涂于患处',
+      eye_both: '滴入双眼', eye_left: '滴入左眼', eye_right: '滴入右眼',
+      ear_both: '滴入双耳', ear_left: '滴入左耳', ear_right: '滴入右耳',
+      nose: '喷入每侧鼻孔', inhaled: '吸入', subcutaneous: '皮下注射',
+      rectal: '直肠给药', vaginal: '阴道给药'
+    },
+    conditions: {
+      with_food: '随餐服用', after_meals: '饭后服用', before_meals: '饭前服用',
+      empty_stomach: '空腹服用', with_water: '用一杯水送服'
+    },
+    indications: {
+      chest_pain: '胸痛', headache: '头痛', pain: '疼痛', fever: '发烧', nausea: '恶心',
+      sleep: '失眠', anxiety: '焦虑', shortness_of_breath: '气促', wheezing: '喘息',
+      cough: '咳嗽', itching: '瘙痒', constipation: '便秘'
+    },
+    dose: (amount) => `每次${amount}`,
+    timesPerDay: (n, asNeeded) => asNeeded ? `每日最多${n}次` : `每日${n}次`,
+    everyHours: (n, asNeeded) => `${asNeeded ? '最多' : ''}每${n}小时1次`,
+    timesPerWeek: (n) => `每周${n}次`,
+    everyOtherDay: '隔日1次',
+    timeOfDay: { morning: '每日早上1次', evening: '每日晚上1次', bedtime: '每晚睡前1次' },
+    asNeeded: (indication, oral) => indication ? `${indication}时${oral ? '服用' : '使用'}` : `需要时${oral ? '服用' : '使用'}`,
+    indication: (indication) => `用于${indication}`,
+    duration: ({ value, unit }, oral) => `${oral ? '连服' : '连用'}${value}${{ day: '天', week: '周', month: '个月' }[unit]}`,
+    untilFinished: (oral) => oral ? '直至服完' : '直至用完',
+    maxDose: (amount, hours) => `${hours}小时内不超过${amount}`,
+    half: '半',
+    range: (from, to) => `${from}至${to}`,
+    join: (parts) => `${parts.join('，')}。`
+  },
+  cantonese: {
+    units: {
+      tablet: '粒', capsule: '粒', mcg: '微克', mg: '毫克', g: '克', mL: '毫升', drop: '滴', puff: '下',
+      spray: '噴', unit: '單位', teaspoon: '茶匙', tablespoon: '湯匙', patch: '塊', sachet: '包'
+    },
+    routes: {
+      oral: '口服', sublingual: '含喺脷底', topical: '外用，搽喺患處',
+      eye_both: '滴入兩隻眼', eye_left: '滴入左眼', eye_right: '滴入右眼',
+      ear_both: '滴入兩邊耳', ear_left: '滴入左耳', ear_right: '滴入右耳',
+      nose: '噴入每邊鼻哥窿', inhaled: '吸入', subcutaneous: '皮下注射',
+      rectal: '塞入肛門', vaginal: '放入陰道'
+    },
+    conditions: {
+      with_food: '同食物一齊食', after_meals: '食飯後食', before_meals: '食飯前食',
+      empty_stomach: '空肚食', with_water: '用一杯水送服'
+    },
+    indications: {
+      chest_pain: '心口痛', headache: '頭痛', pain: '痛', fever: '發燒', nausea: '作嘔',
+      sleep: '瞓唔著', anxiety: '焦慮', shortness_of_breath: '氣促', wheezing: '氣喘',
+      cough: '咳', itching: '痕', constipation: '便秘'
+    },
+    dose: (amount) => `每次${amount}`,
+    timesPerDay: (n, asNeeded) => asNeeded ? `每日最多${n}次` : `每日${n}次`,
+    everyHours: (n, asNeeded) => `${asNeeded ? '最多' : ''}每${n}個鐘1次`,
+    timesPerWeek: (n) => `每個星期${n}次`,
+    everyOtherDay: '隔日1次',
+    timeOfDay: { morning: '每日朝早1次', evening: '每日夜晚1次', bedtime: '每晚瞓覺前1次' },
+    asNeeded: (indication, oral) => indication ? `${indication}嘅時候先${oral ? '食' : '用'}` : `有需要先${oral ? '食' : '用'}`,
+    indication: (indication) => `用於${indication}`,
+    duration: ({ value, unit }, oral) => `連續${oral ? '食' : '用'}${value}${{ day: '日', week: '個星期', month: '個月' }[unit]}`,
+    untilFinished: (oral) => oral ? '食晒為止' : '用晒為止',
+    maxDose: (amount, hours) => `${hours}個鐘內唔可以多過${amount}`,
+    half: '半',
+    range: (from, to) => `${from}至${to}`,
+    join: (parts) => `${parts.join('，')}。`
+  }
+};
+
+// Languages that share another's wording and differ only in characters.
+// Taiwanese Mandarin uses the Mandarin label conventions, written in Taiwan
+// Traditional, so its sigs come out in the language's own script.
+const SCRIPT_VARIANTS = {
+  'mandarin-tw': { template: 'mandarin', from: 'simplified', to: 'traditional-tw' }
+};
+
+const englishAmount = (amount) => ({ 0.25: '1/4', 0.5: '1/2', 0.75: '3/4' })[amount] || String(amount);
+
+function renderEnglish(sig, t) {
+  const quantity = (amount, amountMax, unit) => {
+    const count = amountMax ? `${englishAmount(amount)} to ${englishAmount(amountMax)}` : englishAmount(amount);
+    const [singular, plural] = t.units[unit];
+    return `${count} ${(amountMax || amount) > 1 ? plural : singular}`;
+  };
+  const { frequency } = sig;
+
+  const words = [
+    sig.action ? sig.action[0].toUpperCase() + sig.action.slice(1) : 'Take',
+    sig.dose && quantity(sig.dose.amount, sig.dose.amountMax, sig.dose.unit),
+    sig.route && t.routes[sig.route],
+    frequency?.timesPerDay && t.timesPerDay(frequency.timesPerDay),
+    frequency?.everyHours && t.everyHours(frequency.everyHours),
+    frequency?.timesPerWeek && t.timesPerWeek(frequency.timesPerWeek),
+    frequency?.everyOtherDay && t.everyOtherDay,
+    frequency?.timeOfDay && t.timeOfDay[frequency.timeOfDay],
+    sig.asNeeded && 'as needed',
+    sig.indication && `for ${t.indications[sig.indication]}`,
+    ...sig.conditions.map(condition => t.conditions[condition]),
+    sig.duration && (sig.duration.untilFinished ? t.untilFinished : t.duration(sig.duration))
+  ].filter(Boolean);
+
+  const maxUnit = sig.maxDose?.unit || sig.dose?.unit;
+  const max = sig.maxDose && t.maxDose(
+    maxUnit ? quantity(sig.maxDose.amount, null, maxUnit) : englishAmount(sig.maxDose.amount),
+    sig.maxDose.perHours
+  );
+  return [`${words.join(' ')}.`, max].filter(Boolean).join(' ');
+}
+
+function renderChinese(sig, t) {
+  const amountText = (amount) => amount === 0.5 ? t.half : englishAmount(amount);
+  const quantity = (amount, amountMax, unit) =>
+    `${amountMax ? t.range(amountText(amount), amountText(amountMax)) : amountText(amount)}${unit ? t.units[unit] : ''}`;
+  const { frequency, asNeeded } = sig;
+  // Swallowed medicine is "taken" (服 / 食), everything else "used" (用)
+  const oral = sig.route
+    ? ['oral', 'sublingual'].includes(sig.route)
+    : !sig.action || ['take', 'chew', 'dissolve'].includes(sig.action);
+
+  const parts = [
+    sig.route && t.routes[sig.route],
+    sig.dose && t.dose(quantity(sig.dose.amount, sig.dose.amountMax, sig.dose.unit)),
+    frequency?.timesPerDay && t.timesPerDay(frequency.timesPerDay, asNeeded),
+    frequency?.everyHours && t.everyHours(frequency.everyHours, asNeeded),
+    frequency?.timesPerWeek && t.timesPerWeek(frequency.timesPerWeek),
+    frequency?.everyOtherDay && t.everyOtherDay,
+    frequency?.timeOfDay && t.timeOfDay[frequency.timeOfDay],
+    ...sig.conditions.map(condition => t.conditions[condition]),
+    asNeeded
+      ? t.asNeeded(sig.indication && t.indications[sig.indication], oral)
+      : sig.indication && t.indication(t.indications[sig.indication]),
+    sig.duration && (sig.duration.untilFinished ? t.untilFinished(oral) : t.duration(sig.duration, oral)),
+    sig.maxDose && t.maxDose(quantity(sig.maxDose.amount, null, sig.maxDose.unit || sig.dose?.unit), sig.maxDose.perHours)
+  ].filter(Boolean);
+
+  return t.join(parts);
+}
+
+// The sig in the given language ('english', 'mandarin', 'mandarin-tw',
+// 'cantonese'), or null when there is no template for it
+export function renderSig(sig, language) {
+  const variant = SCRIPT_VARIANTS[language];
+  if (variant) return convertScript(renderSig(sig, variant.template), variant.from, variant.to);
+
+  const templates = TEMPLATES[language];
+  if (!templates) return null;
+  return language === 'english' ? renderEnglish(sig, templates) : renderChinese(sig, templates);
+}
@@ -0,0 +1,11 @@
+// Server-Sent Events for endpoints that report progress while they work.
+// Clients opt in with Accept: text/event-stream; everyone else gets JSON.
+
+export const wantsEventStream = (req) => Boolean(req.get('Accept')?.includes('text/event-stream'));
+
+export function startEventStream(res) {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+}
+
+export const sendEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
@@ -0,0 +1,118 @@
+import express from 'express';
+import dotenv from 'dotenv';
+import { createDictionaryProvider } from './providers/dictionary.js';
+import { createGlossaryStore } from './glossary/store.js';
+import { dataPath } from './storage.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from './languages/index.js';
+
+// Local stand-in for an OpenAI-compatible model server. Answers
+// /v1/chat/completions from the phrase dictionary so the full app can run
+// end-to-end (TRANSLATION_PROVIDERS=local) with no PHI leaving the machine.
+//
+//   npm run standin
+//   LOCAL_LLM_BASE_URL=http://localhost:8000/v1 TRANSLATION_PROVIDERS=local npm run server
+
+dotenv.config();
+
+const app = express();
+const PORT = process.env.STANDIN_PORT || 8000;
+const MODEL = 'standin-dictionary';
+const STREAM_CHUNK_CHARACTERS = 3;
+const STREAM_CHUNK_DELAY_MS = 40;
+
+const dictionary = createDictionaryProvider(createGlossaryStore(dataPath('glossary.json')));
+
+app.use(express.json({ limit: '1mb' }));
+
+// The registry prompt the system prompt was built from tells which language
+// and direction the real model would be asked for
+function promptTarget(systemPrompt) {
+  for (const language of Object.values(LANGUAGES)) {
+    const { doctor, patient, backTranslation } = language.prompts;
+    const candidates = [
+      [doctor, 'to_patient'],
+      [patient, 'to_english'],
+      [backTranslation.to_patient, 'to_patient'],
+      [backTranslation.to_english, 'to_english']
+    ];
+    const match = candidates.find(([prompt]) => systemPrompt.includes(prompt.split('\n')[0]));
+    if (match) return { targetLanguage: language.id, translationDirection: match[1] };
+  }
+  return null;
+}
+
+// Rough token estimate so usage numbers look like a real backend's
+const countTokens = (text) => Math.ceil((text || '').length / 4);
+
+app.get('/v1/models', (req, res) => {
+  res.json({
+    object: 'list',
+    data: [{ id: MODEL, object: 'model', owned_by: 'local' }]
+  });
+});
+
+app.post('/v1/chat/completions', async (req, res) => {
+  const { messages = [], model = MODEL, stream = false } = req.body;
+
+  const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
+  const userMessage = [...messages].reverse().find(m => m.role === 'user');
+
+  if (!userMessage || typeof userMessage.content !== 'string') {
+    return res.status(400).json({
+      error: { message: 'A user message is required', type: 'invalid_request_error' }
+    });
+  }
+
+  // Infer what the real model would be asked to do from the request itself
+  const text = userMessage.content;
+  const { targetLanguage, translationDirection } = promptTarget(systemPrompt) || {
+    targetLanguage: DEFAULT_LANGUAGE,
+    translationDirection: /[㐀-鿿]/.test(text) ? 'to_english' : 'to_patient'
+  };
+
+  const { translation } = await dictionary.translate({ text, translationDirection, targetLanguage });
+
+  const promptTokens = countTokens(systemPrompt) + countTokens(text);
+  const completionTokens = countTokens(translation);
+
+  const id = `chatcmpl-standin-${Date.now()}`;
+  const usage = {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+
+  // Streamed a few characters at a time, like a model writing the reply
+  if (stream) {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const chunk = (choices, extra = {}) => res.write(`data: ${JSON.stringify({
+      id, object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model, choices, ...extra
+    })}\n\n`);
+
+    for (let i = 0; i < translation.length; i += STREAM_CHUNK_CHARACTERS) {
+      chunk([{ index: 0, delta: { content: translation.slice(i, i + STREAM_CHUNK_CHARACTERS) }, finish_reason: null }]);
+      await new Promise(resolve => setTimeout(resolve, STREAM_CHUNK_DELAY_MS));
+    }
+    chunk([{ index: 0, delta: {}, finish_reason: 'stop' }]);
+    if (req.body.stream_options?.include_usage) chunk([], { usage });
+    res.write('data: [DONE]\n\n');
+    return res.end();
+  }
+
+  res.json({
+    id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: translation },
+      finish_reason: 'stop'
+    }],
+    usage
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Stand-in LLM running on http://localhost:${PORT}/v1 (model: ${MODEL})`);
+});
@@ -0,0 +1,11 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Local data lives under DATA_DIR (default server/data). Resolved lazily so
+// values loaded by dotenv after import are still honoured.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export function dataPath(...parts) {
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+  return path.join(dataDir, ...parts);
+}
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAudioStore } from '../audio/store.js';
+
+const HOUR = 3600000;
+
+const tempStore = (t, ttlMs = HOUR) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createAudioStore(dir, { secret: 'test', urlTtlMs: HOUR, ttlMs });
+};
+
+const KEY_A = 'a'.repeat(64);
+const KEY_B = 'b'.repeat(64);
+
+test('expired clips are not found and are swept from disk', (t) => {
+  const audio = tempStore(t, -1);
+  audio.save(KEY_A, Buffer.from('a'));
+  audio.save(KEY_B, Buffer.from('b'));
+
+  assert.equal(audio.find(KEY_A), null);
+  assert.equal(fs.existsSync(audio.fileFor(KEY_A)), false);
+
+  assert.equal(audio.removeExpired(), 1);
+  assert.equal(fs.existsSync(audio.fileFor(KEY_B)), false);
+});
+
+test('deleting a session deletes the clips only it played', (t) => {
+  const audio = tempStore(t);
+  audio.save(KEY_A, Buffer.from('a'));
+  audio.save(KEY_B, Buffer.from('b'));
+  audio.addSession(KEY_A, 'session-1');
+  audio.addSession(KEY_B, 'session-1');
+  audio.addSession(KEY_B, 'session-2');
+
+  assert.equal(audio.removeForSession('session-1'), 1);
+  assert.equal(audio.find(KEY_A), null);
+  assert.deepEqual(audio.find(KEY_B).sessions, ['session-2']);
+  assert.equal(audio.removeExpired(), 0);
+});
@@ -0,0 +1,19 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { forEachWithConcurrency } from '../concurrency.js';
+
+test('no further items are started once one has failed', async () => {
+  const started = [];
+  await assert.rejects(
+    forEachWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (item) => {
+      started.push(item);
+      await new Promise(resolve => setTimeout(resolve, item === 1 ? 1 : 5));
+      if (item === 1) throw new Error('provider down');
+    }),
+    /provider down/
+  );
+
+  // 1 fails while 2 is still running; nothing after 2 is started
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepEqual(started, [1, 2]);
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkConsistency } from '../consistency.js';
+import { getLanguage } from '../languages/index.js';
+
+const toPatient = (source, translation, options = {}) =>
+  checkConsistency(source, translation, { translationDirection: 'to_patient', ...options });
+
+test('a decimal written with 点 is a dose, not a clock time', () => {
+  assert.deepEqual(toPatient('Take 0.5 mg', '每次零点五毫克'), []);
+  assert.deepEqual(toPatient('Take 2.5 mg', '每次二点五毫克'), []);
+});
+
+test('a dose off by a factor of ten is flagged', () => {
+  for (const translation of ['每次零点五毫克', '每次二点五毫克']) {
+    const warnings = toPatient('Take 5 mg', translation);
+    assert.equal(warnings.length, 1, translation);
+    assert.equal(warnings[0].source, '5 mg');
+  }
+});
+
+test('clock times in Chinese still count as times', () => {
+  assert.deepEqual(toPatient('Take it at 2 pm', '下午二点服用'), []);
+  assert.deepEqual(toPatient('Take it at 8:30', '八点半服用'), []);
+});
+
+const toSpanish = (source, translation) => toPatient(source, translation, {
+  script: 'Latn',
+  numberWords: getLanguage('spanish').numberWords
+});
+
+test('Spanish and Vietnamese numbers group thousands with a point', () => {
+  assert.deepEqual(toSpanish('Take 1,000 mg', 'Tome 1.000 mg'), []);
+  assert.deepEqual(toSpanish('Give 1,500 units', 'Administre 1.500 unidades'), []);
+  assert.deepEqual(toPatient('Take 1,000 mg', 'Uống 1.000 mg', { script: 'Latn' }), []);
+});
+
+test('Spanish and Vietnamese numbers take a decimal comma', () => {
+  assert.deepEqual(toSpanish('Take 2.5 mg', 'Tome 2,5 mg'), []);
+  const [warning] = toSpanish('Take 1,000 mg', 'Tome 1,000 mg');
+  assert.match(warning.message, /1,000 mg \(1 mg\)/);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createGlossaryStore } from '../glossary/store.js';
+import { createDictionaryProvider } from '../providers/dictionary.js';
+import { LANGUAGE_IDS } from '../languages/index.js';
+
+const tempStore = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'glossary-test-'));
+  return { dir, file: path.join(dir, 'glossary.json') };
+};
+
+test('every language is seeded with enforced terms both ways', (t) => {
+  const { dir, file } = tempStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const glossary = createGlossaryStore(file);
+
+  for (const id of LANGUAGE_IDS) {
+    assert.ok(glossary.list({ pair: `en-${id}`, enforce: true }).length > 0, `en-${id}`);
+    assert.ok(glossary.list({ pair: `${id}-en`, enforce: true }).length > 0, `${id}-en`);
+  }
+});
+
+test('pairs new to the seed are added to an existing glossary once', (t) => {
+  const { dir, file } = tempStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const entry = { id: '1', pair: 'en-mandarin', source: 'fever', target: '发烧', category: 'symptoms', notes: '', enforce: true, revision: 1 };
+  fs.writeFileSync(file, JSON.stringify({ version: 3, entries: [entry] }));
+
+  const glossary = createGlossaryStore(file);
+  assert.equal(glossary.version, 4);
+  assert.equal(glossary.list({ pair: 'en-mandarin' }).length, 1);
+  assert.ok(glossary.list({ pair: 'en-spanish' }).length > 0);
+
+  for (const { id } of glossary.list({ pair: 'en-spanish' })) glossary.remove(id);
+  assert.equal(createGlossaryStore(file).list({ pair: 'en-spanish' }).length, 0);
+});
+
+test('the dictionary reads Spanish replies in any case, as whole words', async (t) => {
+  const { dir, file } = tempStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dictionary = createDictionaryProvider(createGlossaryStore(file));
+  const toEnglish = async (text) =>
+    (await dictionary.translate({ text, translationDirection: 'to_english', targetLanguage: 'spanish' })).translation;
+
+  assert.equal(await toEnglish('Me duele la cabeza'), 'I have a headache');
+  assert.match(await toEnglish('Tengo plasma'), /Please provide proper English translation/);
+});
@@ -0,0 +1,19 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPhiMasker, createStreamRestorer } from '../phi.js';
+
+const streamed = (masker, chunks) => {
+  const restorer = createStreamRestorer(masker);
+  return chunks.map(chunk => restorer.push(chunk));
+};
+
+test('a placeholder split across chunks is restored, whatever its brackets', () => {
+  const masker = createPhiMasker();
+  const { text } = masker.mask('My name is John Smith');
+  assert.match(text, /\[NAME_1\]/);
+
+  for (const [open, close] of [['[', ']'], ['【', '】'], ['［', '］']]) {
+    const pushed = streamed(masker, [`我叫${open}NA`, 'ME_', `1${close}。`]);
+    assert.deepEqual(pushed, ['我叫', '', 'John Smith。'], `${open}NAME_1${close}`);
+  }
+});
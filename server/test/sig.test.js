@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSig } from '../sig/parser.js';
+import { renderSig } from '../sig/templates.js';
+
+test('Taiwanese Mandarin sigs use the Mandarin wording in Taiwan Traditional', () => {
+  const sig = parseSig('Take 1 tablet by mouth twice daily after meals for 7 days');
+  assert.equal(renderSig(sig, 'mandarin'), '口服，每次1片，每日2次，饭后服用，连服7天。');
+  assert.equal(renderSig(sig, 'mandarin-tw'), '口服，每次1片，每日2次，飯後服用，連服7天。');
+});
+
+test('languages without a template get no sig rendering', () => {
+  const sig = parseSig('Take 1 tablet by mouth twice daily');
+  assert.equal(renderSig(sig, 'spanish'), null);
+});
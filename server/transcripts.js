@@ -0,0 +1,228 @@
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+import { getLanguage, languageLabel } from './languages/index.js';
+
+// Bilingual transcripts of an interpretation session, for the patient chart
+// and for the patient to take home. Formats: html (printable), txt and pdf.
+
+export const TRANSCRIPT_FORMATS = ['html', 'pdf', 'txt'];
+
+// The patient-language notice comes from the language registry
+const ENGLISH_DISCLAIMER = 'This transcript was produced by machine translation (AI) and has not been reviewed by a certified medical interpreter. It may contain errors. Confirm important information, especially medication and dosing instructions, with your care team.';
+
+// PDFKit's built-in fonts have no Chinese glyphs, so a CJK font is required.
+// PDF_FONT_PATH wins; otherwise common OS locations are tried.
+const CJK_FONT_CANDIDATES = [
+  { path: 'C:\\Windows\\Fonts\\msyh.ttc', family: 'MicrosoftYaHei' },
+  { path: '/System/Library/Fonts/PingFang.ttc', family: 'PingFangSC-Regular' },
+  { path: '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc', family: 'NotoSansCJKsc-Regular' },
+  { path: '/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc', family: 'NotoSansCJKsc-Regular' },
+  { path: '/usr/share/fonts/truetype/wqy/wqy-microhei.ttc', family: 'WenQuanYiMicroHei' }
+];
+
+export function findCjkFont() {
+  if (process.env.PDF_FONT_PATH) {
+    return fs.existsSync(process.env.PDF_FONT_PATH)
+      ? { path: process.env.PDF_FONT_PATH, family: process.env.PDF_FONT_FAMILY }
+      : null;
+  }
+  return CJK_FONT_CANDIDATES.find(font => fs.existsSync(font.path)) || null;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Server local time with its UTC offset, e.g. "2026-03-02 14:05:09 UTC+08:00"
+function formatTimestamp(value) {
+  const date = new Date(value);
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const offsetText = `UTC${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${offsetText}`;
+}
+
+const speakerLabel = (speaker) => speaker === 'doctor' ? 'Doctor' : 'Patient';
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Everything the three renderers share
+function transcriptModel(session) {
+  return {
+    title: 'Medical Interpretation Transcript',
+    subtitle: getLanguage(session.targetLanguage)?.transcriptTitle || '',
+    facts: [
+      ['Session', session.id],
+      ['Patient language', languageLabel(session.targetLanguage)],
+      ...(session.createdBy ? [['Clinician', session.createdBy]] : []),
+      ['Started', formatTimestamp(session.createdAt)],
+      ['Ended', session.closedAt ? formatTimestamp(session.closedAt) : 'Session in progress'],
+      ['Exchanges', String(session.turns.length)]
+    ],
+    disclaimers: [ENGLISH_DISCLAIMER, getLanguage(session.targetLanguage)?.disclaimers.transcript].filter(Boolean),
+    turns: session.turns.map((turn, index) => ({
+      number: index + 1,
+      speaker: speakerLabel(turn.speaker),
+      timestamp: formatTimestamp(turn.timestamp),
+      originalLanguage: languageLabel(turn.originalLanguage),
+      translatedLanguage: languageLabel(turn.translatedLanguage),
+      originalText: turn.originalText,
+      translatedText: turn.translatedText,
+      // Consistency warnings stay with the turn so the chart shows what to check
+      warnings: (turn.warnings || []).map(warning => warning.message)
+    })),
+    generatedAt: formatTimestamp(new Date())
+  };
+}
+
+function renderText(model) {
+  const lines = [
+    model.title,
+    model.subtitle,
+    '='.repeat(60),
+    ...model.facts.map(([label, value]) => `${label}: ${value}`),
+    '',
+    ...model.disclaimers.map(text => `NOTE: ${text}`),
+    '',
+    '-'.repeat(60)
+  ];
+
+  for (const turn of model.turns) {
+    lines.push(
+      `#${turn.number}  ${turn.speaker}  [${turn.timestamp}]`,
+      `  ${turn.originalLanguage}: ${turn.originalText}`,
+      `  ${turn.translatedLanguage}: ${turn.translatedText}`,
+      ...turn.warnings.map(message => `  CHECK: ${message}`),
+      ''
+    );
+  }
+
+  lines.push('-'.repeat(60), `Generated ${model.generatedAt}`, '');
+  return lines.join('\n');
+}
+
+function renderHtml(model) {
+  const facts = model.facts
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n      ');
+
+  const turns = model.turns.map(turn => `
+    <tr class="${turn.speaker.toLowerCase()}">
+      <td class="meta">#${turn.number}<br><strong>${escapeHtml(turn.speaker)}</strong><br>${escapeHtml(turn.timestamp)}</td>
+      <td><div class="lang">${escapeHtml(turn.originalLanguage)}</div>${escapeHtml(turn.originalText)}</td>
+      <td><div class="lang">${escapeHtml(turn.translatedLanguage)}</div>${escapeHtml(turn.translatedText)}${turn.warnings.map(message => `<div class="warning">⚠ ${escapeHtml(message)}</div>`).join('')}</td>
+    </tr>`).join('');
+
+  const disclaimers = model.disclaimers.map(text => `<p>${escapeHtml(text)}</p>`).join('\n    ');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(model.title)}</title>
+  <style>
+    body { font-family: 'Inter', 'PingFang SC', 'Microsoft YaHei', 'Noto Sans CJK SC', sans-serif; color: #1f2937; margin: 2rem; }
+    h1 { font-size: 1.4rem; margin-bottom: 0; }
+    h2 { font-size: 1rem; font-weight: normal; color: #6b7280; margin-top: 0.25rem; }
+    table { border-collapse: collapse; width: 100%; }
+    .facts th { text-align: left; padding-right: 1rem; color: #6b7280; font-weight: 500; }
+    .disclaimer { border: 1px solid #f59e0b; background: #fffbeb; padding: 0.5rem 1rem; margin: 1rem 0; font-size: 0.85rem; }
+    .turns th, .turns td { border: 1px solid #d1d5db; padding: 0.5rem; vertical-align: top; }
+    .turns th { background: #f3f4f6; text-align: left; }
+    .turns .meta { width: 9rem; font-size: 0.8rem; color: #4b5563; }
+    .turns .lang { font-size: 0.75rem; color: #6b7280; margin-bottom: 0.25rem; }
+    .turns .warning { font-size: 0.8rem; color: #b91c1c; margin-top: 0.25rem; }
+    .turns tr.doctor td.meta strong { color: #2563eb; }
+    .turns tr.patient td.meta strong { color: #16a34a; }
+    footer { margin-top: 1rem; font-size: 0.75rem; color: #6b7280; }
+    @media print { body { margin: 0; } .turns tr { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(model.title)}</h1>
+  <h2>${escapeHtml(model.subtitle)}</h2>
+  <table class="facts">
+      ${facts}
+  </table>
+  <div class="disclaimer">
+    ${disclaimers}
+  </div>
+  <table class="turns">
+    <thead><tr><th>Speaker / Time</th><th>Original</th><th>Translation</th></tr></thead>
+    <tbody>${turns}
+    </tbody>
+  </table>
+  <footer>Generated ${escapeHtml(model.generatedAt)}</footer>
+</body>
+</html>
+`;
+}
+
+function renderPdf(model, font) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: model.title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.registerFont('body', font.path, font.family);
+    doc.font('body');
+
+    doc.fontSize(18).text(model.title);
+    doc.fontSize(11).fillColor('#6b7280').text(model.subtitle).moveDown();
+
+    doc.fillColor('#1f2937').fontSize(10);
+    for (const [label, value] of model.facts) {
+      doc.text(`${label}: ${value}`);
+    }
+    doc.moveDown();
+
+    doc.fontSize(9).fillColor('#92400e');
+    for (const text of model.disclaimers) {
+      doc.text(text).moveDown(0.5);
+    }
+    doc.moveDown();
+
+    for (const turn of model.turns) {
+      doc.fontSize(10).fillColor(turn.speaker === 'Doctor' ? '#2563eb' : '#16a34a')
+        .text(`#${turn.number}  ${turn.speaker}  ${turn.timestamp}`);
+      doc.fillColor('#6b7280').fontSize(8).text(turn.originalLanguage);
+      doc.fillColor('#1f2937').fontSize(11).text(turn.originalText);
+      doc.fillColor('#6b7280').fontSize(8).text(turn.translatedLanguage);
+      doc.fillColor('#1f2937').fontSize(11).text(turn.translatedText);
+      for (const message of turn.warnings) {
+        doc.fillColor('#b91c1c').fontSize(9).text(`Check: ${message}`);
+      }
+      doc.moveDown();
+    }
+
+    doc.fontSize(8).fillColor('#6b7280').text(`Generated ${model.generatedAt}`);
+    doc.end();
+  });
+}
+
+// Resolves to { contentType, body, extension }. PDF needs a CJK font; without
+// one this rejects with code 'NO_CJK_FONT'.
+export async function renderTranscript(session, format) {
+  const model = transcriptModel(session);
+
+  switch (format) {
+    case 'txt':
+      return { contentType: 'text/plain; charset=utf-8', body: renderText(model), extension: 'txt' };
+    case 'pdf': {
+      const font = findCjkFont();
+      if (!font) {
+        const error = new Error('No CJK font available for PDF export');
+        error.code = 'NO_CJK_FONT';
+        throw error;
+      }
+      return { contentType: 'application/pdf', body: await renderPdf(model, font), extension: 'pdf' };
+    }
+    default:
+      return { contentType: 'text/html; charset=utf-8', body: renderHtml(model), extension: 'html' };
+  }
+}
@@ -0,0 +1,292 @@
+import { translateWithProviders } from './providers/index.js';
+import { getSystemPrompt, getBackTranslationPrompt, withReadingLevel, DEFAULT_READING_LEVEL } from './prompts.js';
+import { similarityScore, confidenceLevel } from './verification.js';
+import { normalizeConversationHistory, withConversationContext } from './conversation.js';
+import { normalizePatientContext, withPatientContext } from './patient-context.js';
+import { createPhiMasker, createStreamRestorer, withPlaceholderInstructions } from './phi.js';
+import { glossaryPairFor, findGlossaryMatches, findViolations, withTerminology, withRepairRequest } from './glossary/enforcement.js';
+import { normalizeCacheText, promptVersion } from './cache/translations.js';
+import { checkConsistency } from './consistency.js';
+import { parseSig } from './sig/parser.js';
+import { getLanguage, ENGLISH } from './languages/index.js';
+import { romanize as romanizeText } from './romanization.js';
+import { convertScript } from './chinese-script.js';
+import { readabilityOf } from './readability.js';
+import { renderSig, SIG_TEMPLATE_VERSION } from './sig/templates.js';
+
+// The translation pipeline shared by /api/translate and document translation:
+// de-identification, conversation and patient context, glossary enforcement,
+// reviewed templates for dosing instructions, the translation cache and the
+// optional back-translation check.
+//
+// Options: glossaryEnforcement (repair | flag | off), phiDeidentification,
+// contextTurns (how many prior turns to use), lowConfidence (back-translation
+// similarity threshold).
+//
+// With romanize, translations into Chinese also come back with a Pinyin or
+// Jyutping reading (whichever the language's registry entry names), and
+// script (simplified | traditional-hk | traditional-tw) converts them into
+// the characters the patient prefers to read. readingLevel (basic | standard
+// | clinical) sets how much jargon is explained to the patient.
+export function createTranslator({ providers, glossary, cache, options }) {
+  const { glossaryEnforcement, phiDeidentification, contextTurns: maxContextTurns, lowConfidence } = options;
+
+  // adaptPrompt(prompt) adds caller-specific instructions (document mode) to
+  // the system prompt. onCompletion(result) is called for every provider
+  // call, so callers can meter usage. With onToken the first pass is
+  // streamed: restored text is passed on as it arrives, and onReset() means
+  // "discard it, a provider failed and the next one starts again".
+  async function translate({
+    text,
+    translationDirection,
+    targetLanguage,
+    verify = false,
+    romanize = false,
+    script: preferredScript,
+    readingLevel = DEFAULT_READING_LEVEL,
+    conversationHistory,
+    patientContext,
+    adaptPrompt = (prompt) => prompt,
+    onCompletion = () => {},
+    onToken,
+    onReset = () => {}
+  }) {
+    // Names, dates of birth, record numbers, phone numbers and addresses are
+    // replaced with placeholders here and restored after translation, so they
+    // never reach the provider. History and profile go through the same
+    // masker to keep placeholders consistent.
+    const phi = phiDeidentification ? createPhiMasker() : null;
+    const masked = phi ? phi.mask(text) : { text, spans: [] };
+    const maskText = (value) => phi ? phi.mask(value).text : value;
+
+    console.log(`Translation request (${translationDirection}, ${targetLanguage}): "${masked.text.substring(0, 100)}${masked.text.length > 100 ? '...' : ''}"`);
+    if (masked.spans.length > 0) {
+      console.log(`De-identified ${masked.spans.length} span(s): ${masked.spans.map(span => span.type).join(', ')}`);
+    }
+
+    // Approved glossary terms found in the source are required in the output
+    const glossaryPair = glossaryPairFor(translationDirection, targetLanguage);
+    const glossaryMatches = glossaryEnforcement === 'off' ? [] : findGlossaryMatches(glossary, masked.text, glossaryPair);
+    // Recent turns help resolve pronouns and short answers; the patient
+    // profile shapes pronouns, politeness and medication names
+    const contextTurns = normalizeConversationHistory(conversationHistory, maxContextTurns)
+      .map(turn => ({ ...turn, originalText: maskText(turn.originalText), translatedText: maskText(turn.translatedText) }));
+    const patientProfile = normalizePatientContext(patientContext);
+    const maskedProfile = patientProfile && { ...patientProfile, visitReason: maskText(patientProfile.visitReason) };
+    const systemPrompt = withReadingLevel(getSystemPrompt(translationDirection, targetLanguage), readingLevel, translationDirection);
+    const withPlaceholders = (prompt) => phi?.size > 0 ? withPlaceholderInstructions(prompt) : prompt;
+    const basePrompt = withPlaceholders(adaptPrompt(withPatientContext(
+      withConversationContext(systemPrompt, contextTurns),
+      maskedProfile,
+      translationDirection,
+      targetLanguage
+    )));
+    const baseRequest = {
+      text: masked.text,
+      systemPrompt: basePrompt,
+      translationDirection,
+      targetLanguage
+    };
+
+    // Everything up to the response works in the language's own script;
+    // only what the patient reads is converted
+    const { defaultScript } = getLanguage(targetLanguage);
+    const outputScript = translationDirection === 'to_patient' && defaultScript ? preferredScript || defaultScript : null;
+    const toOutputScript = (value) => convertScript(value, defaultScript, outputScript);
+
+    // Dosing instructions ("take 1 tablet by mouth twice daily") are rendered
+    // from reviewed templates instead of by the model, so they are
+    // deterministic. Anything the sig parser doesn't fully understand goes to
+    // the model as usual.
+    const sig = translationDirection === 'to_patient' ? parseSig(masked.text) : null;
+    const sigTranslation = sig && renderSig(sig, targetLanguage);
+
+    // Cached on the masked text, so no identifiers are stored. Patient replies
+    // translated with conversation context are left out: a bare "两天" means
+    // something different after each question.
+    const cacheKey = !sigTranslation && cache && (translationDirection === 'to_patient' || contextTurns.length === 0)
+      ? cache.keyFor({
+        text: masked.text,
+        translationDirection,
+        targetLanguage,
+        version: promptVersion(
+          withPlaceholders(adaptPrompt(withPatientContext(systemPrompt, maskedProfile, translationDirection, targetLanguage))),
+          glossary.version,
+          glossaryEnforcement
+        )
+      })
+      : null;
+    const cached = cacheKey ? cache.get(cacheKey)?.value : null;
+
+    let result;
+    let violations;
+    let repaired = false;
+
+    if (sigTranslation) {
+      result = { translation: sigTranslation, provider: 'sig-template', model: `sig-templates v${SIG_TEMPLATE_VERSION}` };
+      violations = findViolations(glossaryMatches, result.translation, glossaryPair);
+      console.log(`Dosing instruction rendered from template (${targetLanguage})`);
+    } else if (cached) {
+      ({ result, violations, repaired } = cached);
+      console.log(`Translation cache hit (${translationDirection}, ${targetLanguage})`);
+    } else {
+      // Streamed text is restored as it arrives; only the first pass streams,
+      // a repair shows up in the final result
+      const restorer = onToken && createStreamRestorer(phi);
+      result = await translateWithProviders(providers, {
+        ...baseRequest,
+        systemPrompt: withTerminology(baseRequest.systemPrompt, glossaryMatches),
+        ...(restorer && {
+          onToken: (delta) => {
+            const ready = restorer.push(delta);
+            if (ready) onToken(toOutputScript(ready));
+          },
+          onReset: () => {
+            restorer.reset();
+            onReset();
+          }
+        })
+      });
+      onCompletion(result);
+      violations = findViolations(glossaryMatches, result.translation, glossaryPair);
+
+      // One repair pass for LLM output; the dictionary cannot do better
+      if (violations.length > 0 && glossaryEnforcement === 'repair' && result.provider !== 'dictionary') {
+        console.log(`Glossary violations (${violations.map(v => v.source).join(', ')}), requesting repair`);
+        const retry = await translateWithProviders(providers, {
+          ...baseRequest,
+          systemPrompt: withRepairRequest(baseRequest.systemPrompt, glossaryMatches, result.translation, violations)
+        });
+        onCompletion(retry);
+        const retryViolations = findViolations(glossaryMatches, retry.translation, glossaryPair);
+        if (retryViolations.length < violations.length) {
+          result = retry;
+          violations = retryViolations;
+          repaired = true;
+        }
+      }
+    }
+
+    const { provider, model } = result;
+    const restored = phi ? phi.restore(result.translation) : { text: result.translation, restored: new Set() };
+    const unrestored = [...new Set(masked.spans.map(span => span.placeholder))]
+      .filter(placeholder => !restored.restored.has(placeholder));
+    if (unrestored.length > 0) {
+      console.warn(`Placeholders missing from translation: ${unrestored.join(', ')}`);
+    }
+
+    // Numbers, units, frequencies, times and drug names from the source that
+    // the translation lost or changed. Glossary drugs already enforced above
+    // are reported as violations, not again here.
+    const { script, numberWords } = getLanguage(targetLanguage);
+    const warnings = checkConsistency(text, restored.text, {
+      translationDirection,
+      script,
+      numberWords,
+      drugs: [
+        ...glossary.list({ pair: glossaryPair, category: 'medications' })
+          .filter(entry => !glossaryMatches.some(match => match.id === entry.id)),
+        ...(patientProfile?.medications || []).map(name => ({ source: name, target: null }))
+      ]
+    });
+    if (warnings.length > 0) {
+      console.warn(`Consistency warnings: ${warnings.map(warning => warning.source).join(', ')}`);
+    }
+
+    // Optional back-translation check so clinicians can see what was actually said.
+    // Kept masked in the cache and restored for the response.
+    let maskedVerification = cached?.verification;
+    if (verify && !maskedVerification) {
+      const backDirection = translationDirection === 'to_patient' ? 'to_english' : 'to_patient';
+      try {
+        const back = await translateWithProviders(providers, {
+          text: result.translation,
+          systemPrompt: withPlaceholders(getBackTranslationPrompt(backDirection, targetLanguage)),
+          translationDirection: backDirection,
+          targetLanguage
+        });
+        onCompletion(back);
+        const similarity = similarityScore(masked.text, back.translation, translationDirection === 'to_patient');
+        const confidence = confidenceLevel(similarity, lowConfidence);
+        maskedVerification = {
+          backTranslation: back.translation,
+          similarity,
+          confidence,
+          lowConfidence: confidence === 'low',
+          provider: back.provider
+        };
+        console.log(`Back-translation check: similarity ${similarity} (${confidence})`);
+      } catch (verifyError) {
+        // Verification is advisory; never fail the translation because of it
+        console.error('Back-translation failed:', verifyError.message);
+      }
+    }
+
+    let verification;
+    if (verify) {
+      verification = maskedVerification
+        ? { ...maskedVerification, backTranslation: phi ? phi.restore(maskedVerification.backTranslation).text : maskedVerification.backTranslation }
+        : { error: 'Back-translation unavailable' };
+    }
+
+    // Only complete model output is cached: not dictionary fallbacks, and not
+    // translations that lost a placeholder
+    const cacheable = cacheKey && provider !== 'dictionary' && unrestored.length === 0;
+    if (cacheable && (!cached || (maskedVerification && !cached.verification))) {
+      cache.set(cacheKey, {
+        result: { translation: result.translation, provider, model },
+        violations,
+        repaired,
+        ...(maskedVerification && { verification: maskedVerification })
+      }, { text: normalizeCacheText(masked.text, translationDirection), translationDirection, targetLanguage });
+    }
+
+    const romanization = romanize && translationDirection === 'to_patient'
+      ? romanizeText(restored.text, getLanguage(targetLanguage).romanization)
+      : null;
+
+    // Scored on both sides, so the clinician can see whether the patient's
+    // version came out as plain as the English (or plainer, at basic)
+    const [sourceLanguage, translationLanguage] = translationDirection === 'to_patient'
+      ? [ENGLISH.id, targetLanguage]
+      : [targetLanguage, ENGLISH.id];
+    const readability = {
+      source: readabilityOf(text, sourceLanguage),
+      translation: readabilityOf(restored.text, translationLanguage)
+    };
+
+    console.log(`Translation completed (${translationDirection}, ${targetLanguage}, ${provider}): "${result.translation.substring(0, 100)}${result.translation.length > 100 ? '...' : ''}"`);
+
+    return {
+      translation: toOutputScript(restored.text),
+      ...(outputScript && { script: outputScript }),
+      provider,
+      model,
+      cached: Boolean(cached),
+      glossary: {
+        version: glossary.version,
+        // Targets as they appear in the converted translation
+        matches: outputScript ? glossaryMatches.map(match => ({ ...match, target: toOutputScript(match.target) })) : glossaryMatches,
+        violations: outputScript ? violations.map(violation => ({ ...violation, target: toOutputScript(violation.target) })) : violations,
+        repaired
+      },
+      warnings,
+      readingLevel,
+      readability,
+      ...(romanization && { romanization }),
+      ...(verification && { verification }),
+      // The parsed instruction, with how it was understood in English, so the
+      // clinician can check dose, route and schedule at a glance
+      ...(sigTranslation && { sig: { ...sig, english: renderSig(sig, 'english') } }),
+      deidentification: {
+        enabled: phiDeidentification,
+        masked: masked.spans.map(({ type, start, end, placeholder }) => ({ type, start, end, placeholder })),
+        unrestored
+      },
+      contextTurns: contextTurns.length,
+      patientContextApplied: Boolean(patientProfile)
+    };
+  }
+
+  return { translate };
+}
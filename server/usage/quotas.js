@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import { USAGE_METRICS, UNASSIGNED_CLINIC } from './store.js';
+
+// Daily and monthly usage limits, edited by admins through /api/usage/quotas.
+//   user / clinic     - defaults for every user / every clinic
+//   users / clinics   - overrides by username / clinic name
+// Each holds { daily: { tokens, ttsCharacters, cost }, monthly: { ... } };
+// a missing or null limit means unlimited. Periods follow UTC.
+
+export const QUOTA_PERIODS = ['daily', 'monthly'];
+
+const EMPTY_QUOTAS = { user: {}, clinic: {}, users: {}, clinics: {} };
+
+// First day of the period and the moment it resets
+function periodBounds(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const start = period === 'daily'
+    ? new Date(Date.UTC(year, month, now.getUTCDate()))
+    : new Date(Date.UTC(year, month, 1));
+  const resetsAt = period === 'daily'
+    ? new Date(Date.UTC(year, month, now.getUTCDate() + 1))
+    : new Date(Date.UTC(year, month + 1, 1));
+  return { from: start.toISOString().slice(0, 10), resetsAt: resetsAt.toISOString() };
+}
+
+function validateLimits(limits, where) {
+  if (limits === undefined) return null;
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) return `${where} must be an object`;
+
+  for (const [period, metrics] of Object.entries(limits)) {
+    if (!QUOTA_PERIODS.includes(period)) return `${where}.${period}: period must be one of ${QUOTA_PERIODS.join(', ')}`;
+    if (!metrics || typeof metrics !== 'object') return `${where}.${period} must be an object`;
+    for (const [metric, limit] of Object.entries(metrics)) {
+      if (!USAGE_METRICS.includes(metric)) return `${where}.${period}.${metric}: metric must be one of ${USAGE_METRICS.join(', ')}`;
+      if (limit !== null && !(typeof limit === 'number' && limit >= 0)) return `${where}.${period}.${metric} must be a non-negative number or null`;
+    }
+  }
+  return null;
+}
+
+export function validateQuotas(quotas) {
+  if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) return 'Quotas must be an object';
+
+  for (const scope of ['user', 'clinic']) {
+    const problem = validateLimits(quotas[scope], scope);
+    if (problem) return problem;
+  }
+  for (const scope of ['users', 'clinics']) {
+    const overrides = quotas[scope] ?? {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) return `${scope} must be an object`;
+    for (const [name, limits] of Object.entries(overrides)) {
+      const problem = validateLimits(limits, `${scope}.${name}`);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+export function createQuotaStore(filePath) {
+  let quotas = fs.existsSync(filePath)
+    ? { ...EMPTY_QUOTAS, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) }
+    : { ...EMPTY_QUOTAS };
+
+  function replace(next) {
+    quotas = { ...EMPTY_QUOTAS, ...next };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(quotas, null, 2));
+    fs.renameSync(tmpFile, filePath);
+    return quotas;
+  }
+
+  // Default limits with the named override on top
+  function limitsFor(scope, name) {
+    const defaults = quotas[scope] || {};
+    const override = (scope === 'user' ? quotas.users : quotas.clinics)[name] || {};
+    return Object.fromEntries(QUOTA_PERIODS.map(period => [
+      period,
+      { ...defaults[period], ...override[period] }
+    ]));
+  }
+
+  return { get: () => quotas, replace, limitsFor };
+}
+
+// Usage against every limit that applies to this user and their clinic
+export function quotaStatus(usage, quotaStore, { user, clinic }, now = new Date()) {
+  const scopes = [
+    { scope: 'user', name: user, filter: { user } },
+    { scope: 'clinic', name: clinic || UNASSIGNED_CLINIC, filter: { clinic: clinic || UNASSIGNED_CLINIC } }
+  ];
+
+  const status = [];
+  for (const { scope, name, filter } of scopes) {
+    const limits = quotaStore.limitsFor(scope, name);
+    for (const period of QUOTA_PERIODS) {
+      const { from, resetsAt } = periodBounds(period, now);
+      const used = usage.totals({ ...filter, from });
+      for (const [metric, limit] of Object.entries(limits[period])) {
+        if (limit === null || limit === undefined) continue;
+        status.push({ scope, name, period, metric, limit, used: used[metric], exceeded: used[metric] >= limit, resetsAt });
+      }
+    }
+  }
+  return status;
+}
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+
+// Usage metering for cost accounting. Model tokens and TTS characters are
+// added to one row per UTC day, user, clinic, provider and model, so the file
+// stays small while reports can still be cut by any of those.
+
+export const USAGE_METRICS = ['tokens', 'ttsCharacters', 'cost'];
+export const USAGE_GROUPS = ['user', 'clinic', 'provider', 'model', 'day', 'month'];
+
+// Clinic recorded for users who have not been assigned one
+export const UNASSIGNED_CLINIC = 'unassigned';
+
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+// Prices in USD. Defaults are GPT-4 list prices and Google Neural2/WaveNet
+// voices; self-hosted models cost nothing unless configured.
+export function createPricing(env) {
+  const rate = (name, fallback) => {
+    const value = parseFloat(env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+
+  const tokenPrices = {
+    openai: { prompt: rate('OPENAI_PROMPT_COST_PER_1K', 0.03), completion: rate('OPENAI_COMPLETION_COST_PER_1K', 0.06) },
+    local: { prompt: rate('LOCAL_LLM_PROMPT_COST_PER_1K', 0), completion: rate('LOCAL_LLM_COMPLETION_COST_PER_1K', 0) }
+  };
+  const ttsPerCharacter = rate('TTS_COST_PER_1M_CHARACTERS', 16) / 1e6;
+
+  return ({ provider, promptTokens = 0, completionTokens = 0, ttsCharacters = 0 }) => {
+    const prices = tokenPrices[provider] || { prompt: 0, completion: 0 };
+    return roundCost(
+      (promptTokens / 1000) * prices.prompt +
+      (completionTokens / 1000) * prices.completion +
+      ttsCharacters * ttsPerCharacter
+    );
+  };
+}
+
+const emptyTotals = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, tokens: 0, ttsCharacters: 0, cost: 0 });
+
+function addTo(totals, row) {
+  totals.requests += row.requests;
+  totals.promptTokens += row.promptTokens;
+  totals.completionTokens += row.completionTokens;
+  totals.tokens += row.promptTokens + row.completionTokens;
+  totals.ttsCharacters += row.ttsCharacters;
+  totals.cost = roundCost(totals.cost + row.cost);
+  return totals;
+}
+
+export function createUsageStore(filePath, { costOf }) {
+  let rows = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')).rows : [];
+
+  // Write-then-rename so a crash never leaves a half-written file
+  function persist() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ rows }, null, 2));
+    fs.renameSync(tmpFile, filePath);
+  }
+
+  // One metered call: a completion (tokens) or a synthesis (characters)
+  function record({ user, clinic, provider, model, promptTokens = 0, completionTokens = 0, ttsCharacters = 0 }) {
+    const day = new Date().toISOString().slice(0, 10);
+    const key = { day, user, clinic: clinic || UNASSIGNED_CLINIC, provider, model: model || null };
+
+    let row = rows.find(existing => Object.entries(key).every(([field, value]) => existing[field] === value));
+    if (!row) {
+      row = { ...key, requests: 0, promptTokens: 0, completionTokens: 0, ttsCharacters: 0, cost: 0 };
+      rows.push(row);
+    }
+
+    row.requests += 1;
+    row.promptTokens += promptTokens;
+    row.completionTokens += completionTokens;
+    row.ttsCharacters += ttsCharacters;
+    row.cost = roundCost(row.cost + costOf({ provider, promptTokens, completionTokens, ttsCharacters }));
+    persist();
+    return row;
+  }
+
+  // Rows for UTC days from <= day <= to (YYYY-MM-DD), optionally filtered
+  const select = ({ from, to, user, clinic } = {}) => rows.filter(row =>
+    (!from || row.day >= from) && (!to || row.day <= to) &&
+    (!user || row.user === user) && (!clinic || row.clinic === clinic));
+
+  function totals(filter) {
+    return select(filter).reduce(addTo, emptyTotals());
+  }
+
+  // Totals per group, largest cost first, plus the grand total
+  function report({ groupBy = 'clinic', ...filter } = {}) {
+    const groups = new Map();
+    const keyOf = (row) => groupBy === 'month' ? row.day.slice(0, 7) : row[groupBy];
+
+    for (const row of select(filter)) {
+      const key = keyOf(row) ?? 'unknown';
+      if (!groups.has(key)) groups.set(key, emptyTotals());
+      addTo(groups.get(key), row);
+    }
+
+    return {
+      groupBy,
+      groups: [...groups.entries()]
+        .map(([key, sums]) => ({ [groupBy]: key, ...sums }))
+        .sort((a, b) => b.cost - a.cost || b.tokens - a.tokens),
+      total: totals(filter)
+    };
+  }
+
+  return { record, totals, report };
+}
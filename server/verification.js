@@ -0,0 +1,76 @@
+// Back-translation scoring. A translation is re-translated into the source
+// language and compared with what was actually said. The score is a rough
+// lexical overlap (0-1), good enough to flag messages a clinician should
+// double-check, not a measure of translation quality.
+
+const ENGLISH_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'at', 'for', 'with',
+  'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did', 'it', 'this',
+  'that', 'these', 'those', 'i', 'you', 'your', 'my', 'me', 'we', 'our', 'he', 'she',
+  'they', 'them', 'please', 'will', 'would', 'can', 'could', 'should', 'so', 'very'
+]);
+
+// Very light stemming so "hurts"/"hurt" and "taking"/"take" line up
+const stem = (word) => word
+  .replace(/'s$/, '')
+  .replace(/(ing|ed|es|s)$/, '')
+  .replace(/e$/, '');
+
+function englishTokens(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9'\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !ENGLISH_STOPWORDS.has(word))
+    .map(stem)
+    .filter(Boolean);
+}
+
+// Chinese has no spaces; character bigrams are the usual cheap stand-in for words
+function chineseTokens(text) {
+  const chars = Array.from(text.replace(/[^\p{Script=Han}0-9]/gu, ''));
+  if (chars.length < 2) return chars;
+  return chars.slice(0, -1).map((char, index) => char + chars[index + 1]);
+}
+
+// Other patient languages (Vietnamese, Spanish) are compared word by word
+function wordTokens(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Dice coefficient over token multisets
+function dice(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const counts = new Map();
+  for (const token of a) counts.set(token, (counts.get(token) || 0) + 1);
+
+  let overlap = 0;
+  for (const token of b) {
+    const remaining = counts.get(token) || 0;
+    if (remaining > 0) {
+      overlap++;
+      counts.set(token, remaining - 1);
+    }
+  }
+  return (2 * overlap) / (a.length + b.length);
+}
+
+// Compare the original with its back-translation (both in the source language)
+export function similarityScore(original, backTranslation, sourceIsEnglish) {
+  const tokenize = sourceIsEnglish
+    ? englishTokens
+    : /\p{Script=Han}/u.test(original) ? chineseTokens : wordTokens;
+  return Math.round(dice(tokenize(original), tokenize(backTranslation)) * 100) / 100;
+}
+
+export function confidenceLevel(score, lowThreshold) {
+  if (score < lowThreshold) return 'low';
+  if (score < Math.min(1, lowThreshold + 0.25)) return 'medium';
+  return 'high';
+}